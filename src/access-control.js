@@ -0,0 +1,122 @@
+import { ConfigManager } from './config.js';
+import { IPUtils } from './utils/ip.js';
+import { PatternMatcher } from './utils/pattern.js';
+
+/**
+ * 访问控制
+ * 根据协议、端口和主机规则检查目标地址是否允许访问，防止通过代理访问内网地址（SSRF）
+ */
+export class AccessControl {
+  // 私有、回环、链路本地等不应通过代理访问的地址段
+  static PRIVATE_RANGES = [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+    '172.16.0.0/12', '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15',
+    '224.0.0.0/4', '240.0.0.0/4',
+    '::/128', '::1/128', 'fc00::/7', 'fe80::/10', 'fec0::/10', 'ff00::/8',
+  ].map((cidr) => IPUtils.parseCidr(cidr));
+
+  // 各协议的默认端口
+  static DEFAULT_PORTS = { http: 80, https: 443, ws: 80, wss: 443 };
+
+  /**
+   * 检查目标URL是否允许访问
+   * @param {string} dstUrl - 目标URL
+   * @param {object} config - 配置对象
+   * @returns {string|null} 拒绝原因，允许访问时返回null
+   */
+  static checkUrl(dstUrl, config) {
+    let url;
+    try {
+      url = new URL(dstUrl);
+    } catch (e) {
+      return `Invalid destination URL: ${dstUrl}`;
+    }
+    const scheme = url.protocol.replace(':', '').toLowerCase();
+    const port = url.port ? Number(url.port) : this.DEFAULT_PORTS[scheme];
+    return this.check(scheme, url.hostname, port, config);
+  }
+
+  /**
+   * 检查目标地址是否允许访问
+   * 依次检查协议、端口、主机黑名单、私有地址和主机白名单
+   * @param {string} scheme - 协议，例如 "https"，TCP隧道为 "tcp"
+   * @param {string} hostname - 主机名或IP地址
+   * @param {number} port - 端口
+   * @param {object} config - 配置对象
+   * @returns {string|null} 拒绝原因，允许访问时返回null
+   */
+  static check(scheme, hostname, port, config) {
+    const host = hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '').toLowerCase();
+
+    const allowedSchemes = ConfigManager.getListValue(config, 'ALLOWED_SCHEMES').map((s) => s.toLowerCase());
+    if (!allowedSchemes.includes(scheme)) {
+      return `Scheme ${scheme} is not allowed`;
+    }
+
+    const allowedPorts = ConfigManager.getListValue(config, 'ALLOWED_PORTS');
+    if (allowedPorts.length && !this.matchPort(port, allowedPorts)) {
+      return `Port ${port} is not allowed`;
+    }
+    if (this.matchPort(port, ConfigManager.getListValue(config, 'DENIED_PORTS'))) {
+      return `Port ${port} is denied`;
+    }
+
+    if (PatternMatcher.matchHost(host, ConfigManager.getListValue(config, 'DENIED_HOSTS'))) {
+      return `Host ${host} is denied`;
+    }
+
+    if (config.BLOCK_PRIVATE_ADDRESSES && this.isPrivateHost(host)) {
+      return `Private address ${host} is not allowed`;
+    }
+
+    const allowedHosts = ConfigManager.getListValue(config, 'ALLOWED_HOSTS');
+    if (allowedHosts.length && !PatternMatcher.matchHost(host, allowedHosts)) {
+      return `Host ${host} is not allowed`;
+    }
+
+    return null;
+  }
+
+  /**
+   * 检查域名解析后的地址是否允许访问（防止DNS重绑定）
+   * 规则与check相同，但ALLOWED_HOSTS中只有IP地址和CIDR对解析结果生效，主机名模式已经在解析前按域名检查过
+   * @param {string} scheme - 协议
+   * @param {string} address - 解析得到的IP地址
+   * @param {number} port - 端口
+   * @param {object} config - 配置对象
+   * @returns {string|null} 拒绝原因，允许访问时返回null
+   */
+  static checkResolved(scheme, address, port, config) {
+    const allowedAddresses = ConfigManager.getListValue(config, 'ALLOWED_HOSTS')
+      .filter((pattern) => pattern.includes('/') || IPUtils.parse(pattern.replace(/^\[(.*)\]$/, '$1')) !== null);
+    return this.check(scheme, address, port, { ...config, ALLOWED_HOSTS: allowedAddresses });
+  }
+
+  /**
+   * 检查主机是否为私有、回环或链路本地地址
+   * 只检查IP字面量和localhost，域名解析后的地址由Cloudflare网络限制
+   * @param {string} host - 主机名或IP地址（不带方括号）
+   * @returns {boolean} 是否为私有地址
+   */
+  static isPrivateHost(host) {
+    if (host === 'localhost' || host.endsWith('.localhost')) return true;
+    let address = IPUtils.parse(host);
+    if (!address) return false;
+    // IPv4映射地址和NAT64地址按其中嵌入的IPv4地址检查
+    address = IPUtils.embeddedIPv4(address) || address;
+    return this.PRIVATE_RANGES.some((range) => IPUtils.inCidr(address, range));
+  }
+
+  /**
+   * 检查端口是否匹配端口列表
+   * @param {number} port - 端口
+   * @param {string[]} rules - 端口或端口范围列表，例如 ["80", "8000-9000"]
+   * @returns {boolean} 是否匹配
+   */
+  static matchPort(port, rules) {
+    return rules.some((rule) => {
+      const [start, end = start] = rule.split('-').map(Number);
+      return port >= start && port <= end;
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,391 @@
+import { ConfigManager } from './config.js';
+import { PatternMatcher } from './utils/pattern.js';
+
+/**
+ * 认证管理器
+ * 负责验证访问令牌并确定令牌的权限范围
+ */
+export class AuthManager {
+  // 签名查询参数名称，转发前会从目标URL中移除
+  static AUTH_QUERY_PARAMS = ['spectre_expires', 'spectre_signature'];
+
+  /**
+   * 从请求中提取并验证访问令牌
+   * 依次尝试路径首段 /<token>/...、Authorization: Bearer、Proxy-Authorization: Basic和签名查询参数
+   * @param {Request} req - 请求对象
+   * @param {object} config - 配置对象
+   * @param {object} env - 环境变量（用于访问KV绑定）
+   * @returns {Promise<object>} 认证结果：principal为令牌权限（未通过认证时为null），
+   * parts为令牌之后的路径段，credentialHeader为携带令牌的请求头名称
+   */
+  static async authenticateRequest(req, config, env) {
+    const url = new URL(req.url);
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    // 签名URL /s/<expiry>/<signature>/<scheme>/<host>/...
+    if (parts[0] === 's' && config.SIGNED_URL_SECRET) {
+      const principal = await this.verifySignedUrl(req, url, parts, config);
+      return { principal, parts: parts.slice(3), credentialHeader: null };
+    }
+
+    // 路径中的令牌
+    let principal = await this.authenticate(parts[0], config, env);
+    if (principal) {
+      return { principal, parts: parts.slice(1), credentialHeader: null };
+    }
+
+    // Authorization: Bearer <token>
+    const bearer = req.headers.get('Authorization')?.match(/^Bearer\s+(\S+)\s*$/i)?.[1];
+    if (bearer) {
+      principal = await this.authenticate(bearer, config, env);
+      if (principal) {
+        return { principal, parts, credentialHeader: 'Authorization' };
+      }
+    }
+
+    // Proxy-Authorization: Basic base64(user:token)，密码为空时使用用户名作为令牌
+    const basic = req.headers.get('Proxy-Authorization')?.match(/^Basic\s+(\S+)\s*$/i)?.[1];
+    if (basic) {
+      principal = await this.authenticate(this.parseBasicCredentials(basic), config, env);
+      if (principal) {
+        return { principal, parts, credentialHeader: 'Proxy-Authorization' };
+      }
+    }
+
+    // 签名查询参数 ?spectre_expires=<unix秒>&spectre_signature=<HMAC>
+    if (url.searchParams.has('spectre_signature')) {
+      principal = await this.verifySignedQuery(url, config);
+      if (principal) {
+        return { principal, parts, credentialHeader: null };
+      }
+    }
+
+    return { principal: null, parts: parts.slice(1), credentialHeader: null };
+  }
+
+  /**
+   * 验证访问令牌
+   * 依次检查AUTH_TOKEN、AUTH_TOKENS令牌表和AUTH_TOKENS_KV绑定
+   * @param {string} token - 客户端提供的令牌
+   * @param {object} config - 配置对象
+   * @param {object} env - 环境变量（用于访问KV绑定）
+   * @returns {Promise<object|null>} 令牌权限，令牌无效或已过期时返回null
+   */
+  static async authenticate(token, config, env) {
+    if (!token) return null;
+
+    // 遍历所有候选令牌，不提前退出，避免通过响应时间推断令牌
+    let matched = null;
+    for (const entry of this.candidateTokens(config)) {
+      if (await this.timingSafeEqual(token, entry.token)) {
+        matched = matched || this.normalizePermissions(entry.name, entry);
+      }
+    }
+
+    // KV中的令牌以令牌的SHA-256十六进制摘要为键，值为权限JSON
+    if (!matched && config.AUTH_TOKENS_KV && env?.[config.AUTH_TOKENS_KV]) {
+      const key = await this.sha256Hex(token);
+      const entry = await env[config.AUTH_TOKENS_KV].get(key, { type: 'json' });
+      if (entry) {
+        matched = this.normalizePermissions(entry.name ?? key.slice(0, 8), entry);
+      }
+    }
+
+    return this.checkExpiry(matched, config);
+  }
+
+  /**
+   * 验证签名查询参数
+   * 签名为以令牌为密钥的HMAC-SHA256（base64url），签名内容为 "<spectre_expires>\n<路径><其余查询参数>"
+   * 只检查AUTH_TOKEN和AUTH_TOKENS中的令牌，KV中的令牌无法枚举
+   * @param {URL} url - 请求URL
+   * @param {object} config - 配置对象
+   * @returns {Promise<object|null>} 令牌权限，签名无效或已过期时返回null
+   */
+  static async verifySignedQuery(url, config) {
+    const expires = Number(url.searchParams.get('spectre_expires'));
+    const signature = url.searchParams.get('spectre_signature');
+    if (!expires || Date.now() / 1000 >= expires) return null;
+
+    const message = `${expires}\n${url.pathname}${this.stripAuthParams(url).search}`;
+    let matched = null;
+    for (const entry of this.candidateTokens(config)) {
+      const expected = await this.hmacSha256(entry.token, message);
+      if (await this.timingSafeEqual(signature, expected)) {
+        matched = matched || this.normalizePermissions(entry.name, entry);
+      }
+    }
+    return this.checkExpiry(matched, config);
+  }
+
+  /**
+   * 验证签名URL
+   * 路径格式为 /s/<params>/<signature>/<scheme>/<host>/<path>，params格式见parseSignedParams，第一项为过期时间（Unix秒）。
+   * 签名为以SIGNED_URL_SECRET为密钥的HMAC-SHA256（base64url），params包含在签名内容中，因此其中记录的权限范围不能被修改
+   * @param {Request} req - 请求对象
+   * @param {URL} url - 请求URL
+   * @param {string[]} parts - 路径段
+   * @param {object} config - 配置对象
+   * @returns {Promise<object|null>} 签名时令牌的权限范围（主机限制为签名目标主机），签名无效或已过期时返回null
+   */
+  static async verifySignedUrl(req, url, parts, config) {
+    const [, params = '', signature = '', ...destination] = parts;
+    const options = this.parseSignedParams(params);
+    if (!options || !options.time || Date.now() / 1000 >= options.time || destination.length < 2) return null;
+
+    const { method, prefixSegments } = options;
+    if (method && req.method !== method) return null;
+    if (prefixSegments !== null && (prefixSegments < 2 || prefixSegments > destination.length)) return null;
+
+    const expected = await this.hmacSha256(
+      config.SIGNED_URL_SECRET,
+      this.signedUrlMessage(params, destination, url.search, prefixSegments)
+    );
+    if (!(await this.timingSafeEqual(signature, expected))) return null;
+
+    return {
+      id: 'signed-url',
+      strategies: options.strategies,
+      // 签名时已检查令牌可以访问该主机，令牌的主机限制与签名目标主机的交集即为该主机
+      hosts: [destination[1].replace(/:\d+$/, '')],
+      dns: false,
+      websocket: options.websocket,
+      expires: options.time * 1000,
+    };
+  }
+
+  /**
+   * 解析签名URL的参数段 "<time>[.<METHOD>][.p<n>][.s-<strategy>+...][.nows]"
+   * time在签名URL中为过期时间（Unix秒），在/sign请求中为有效秒数；METHOD将签名绑定到指定的HTTP方法；
+   * p<n>表示只签名目标路径的前n段（含scheme和host），之后的路径和查询参数可以任意变化；
+   * s-<strategy>+...限制可用的策略；nows禁止WebSocket和TCP隧道
+   * @param {string} params - 参数段
+   * @returns {object|null} {time, method, prefixSegments, strategies, websocket}，含有未知选项时返回null
+   */
+  static parseSignedParams(params) {
+    const [time, ...options] = params.split('.');
+    const result = { time: Number(time), method: null, prefixSegments: null, strategies: null, websocket: true };
+    for (const option of options) {
+      if (/^p\d+$/.test(option)) {
+        result.prefixSegments = Number(option.slice(1));
+      } else if (/^[A-Z]+$/.test(option)) {
+        result.method = option;
+      } else if (/^s-[a-z0-9+]*$/.test(option)) {
+        result.strategies = option.slice(2).split('+').filter(Boolean);
+      } else if (option === 'nows') {
+        result.websocket = false;
+      } else {
+        return null;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 生成签名URL的路径部分
+   * @param {string} dstUrl - 目标URL
+   * @param {object} options - 选项
+   * @param {string} options.secret - 签名密钥（SIGNED_URL_SECRET）
+   * @param {number} options.expires - 过期时间（Unix秒）
+   * @param {string} [options.method] - 绑定的HTTP方法
+   * @param {number} [options.prefixSegments] - 只签名目标路径的前n段
+   * @param {string[]|null} [options.strategies] - 允许的策略，null表示不限制
+   * @param {boolean} [options.websocket] - 是否允许WebSocket和TCP隧道
+   * @returns {Promise<string>} 形如 /s/<params>/<signature>/https/host/path 的路径
+   */
+  static async createSignedPath(dstUrl, { secret, expires, method, prefixSegments, strategies = null, websocket = true }) {
+    const url = new URL(dstUrl);
+    const destination = [url.protocol.replace(':', ''), url.host, ...url.pathname.split('/').filter(Boolean)];
+    const params = [
+      expires,
+      method,
+      prefixSegments ? `p${prefixSegments}` : null,
+      strategies ? `s-${strategies.join('+')}` : null,
+      websocket ? null : 'nows',
+    ].filter(Boolean).join('.');
+    const signature = await this.hmacSha256(
+      secret,
+      this.signedUrlMessage(params, destination, url.search, prefixSegments ?? null)
+    );
+    return `/s/${params}/${signature}/${destination.join('/')}${url.search}`;
+  }
+
+  /**
+   * 构建签名URL的签名内容
+   * @param {string} params - 签名参数段
+   * @param {string[]} destination - 目标路径段
+   * @param {string} search - 查询字符串
+   * @param {number|null} prefixSegments - 只签名目标路径的前n段，null表示签名完整目标
+   * @returns {string} 签名内容
+   */
+  static signedUrlMessage(params, destination, search, prefixSegments) {
+    const signed = prefixSegments === null
+      ? `${destination.join('/')}${search}`
+      : `${destination.slice(0, prefixSegments).join('/')}/`;
+    return `${params}\n${signed}`;
+  }
+
+  /**
+   * 从URL中移除签名查询参数
+   * @param {URL} url - URL对象
+   * @returns {URL} 不含签名查询参数的URL，没有签名参数时返回原对象
+   */
+  static stripAuthParams(url) {
+    if (!this.AUTH_QUERY_PARAMS.some((name) => url.searchParams.has(name))) return url;
+    const stripped = new URL(url);
+    for (const name of this.AUTH_QUERY_PARAMS) {
+      stripped.searchParams.delete(name);
+    }
+    return stripped;
+  }
+
+  /**
+   * 解析Basic认证凭据
+   * @param {string} encoded - base64编码的 "user:password"
+   * @returns {string|null} 令牌，密码为空时为用户名
+   */
+  static parseBasicCredentials(encoded) {
+    try {
+      const bytes = Uint8Array.from(atob(encoded), (c) => c.charCodeAt(0));
+      const decoded = new TextDecoder().decode(bytes);
+      const idx = decoded.indexOf(':');
+      if (idx === -1) return decoded;
+      return decoded.slice(idx + 1) || decoded.slice(0, idx);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 获取AUTH_TOKEN和AUTH_TOKENS中的所有候选令牌
+   * @param {object} config - 配置对象
+   * @returns {Array<object>} 令牌列表
+   */
+  static candidateTokens(config) {
+    const tokens = this.parseTokenTable(config.AUTH_TOKENS);
+    if (config.AUTH_TOKEN) {
+      tokens.unshift({ token: config.AUTH_TOKEN, name: 'default' });
+    }
+    return tokens;
+  }
+
+  /**
+   * 检查令牌是否已过期
+   * @param {object|null} principal - 令牌权限
+   * @param {object} config - 配置对象
+   * @returns {object|null} 未过期的令牌权限，已过期时返回null
+   */
+  static checkExpiry(principal, config) {
+    if (principal && principal.expires !== null && Date.now() >= principal.expires) {
+      if (config.DEBUG_MODE) {
+        console.log("Auth token expired", principal.id);
+      }
+      return null;
+    }
+    return principal;
+  }
+
+  /**
+   * 解析令牌表
+   * 支持以令牌为键的对象，或带有token字段的数组
+   * @param {string|object} value - AUTH_TOKENS配置值（JSON字符串或对象）
+   * @returns {Array<object>} 令牌列表，每项包含token和name字段
+   */
+  static parseTokenTable(value) {
+    if (!value) return [];
+    const table = typeof value === 'string' ? JSON.parse(value) : value;
+    const entries = Array.isArray(table)
+      ? table
+      : Object.entries(table).map(([token, entry]) => ({ ...entry, token }));
+    // name仅用于日志，避免在日志中输出令牌本身
+    return entries.map((entry, index) => ({ ...entry, name: entry.name ?? `token#${index}` }));
+  }
+
+  /**
+   * 规范化令牌权限，未指定的字段不做限制
+   * @param {string} id - 令牌标识（用于日志）
+   * @param {object} entry - 令牌表中的权限配置
+   * @returns {object} 规范化后的权限
+   */
+  static normalizePermissions(id, entry) {
+    const list = (key) => (entry[key] === undefined ? null : ConfigManager.getListValue(entry, key));
+    let expires = null;
+    if (entry.expires !== undefined && entry.expires !== null) {
+      // 数字表示Unix时间戳（秒），字符串表示ISO 8601时间
+      expires = typeof entry.expires === 'number' ? entry.expires * 1000 : Date.parse(entry.expires);
+      if (isNaN(expires)) throw new Error(`Invalid token expiry for ${id}`);
+    }
+    return {
+      id,
+      strategies: list('strategies')?.map((s) => s.toLowerCase()) ?? null,
+      hosts: list('hosts'),
+      dns: entry.dns !== false,
+      websocket: entry.websocket !== false,
+      expires,
+    };
+  }
+
+  /**
+   * 检查令牌是否允许访问目标主机
+   * @param {object} principal - 令牌权限
+   * @param {string} hostname - 目标主机名
+   * @returns {boolean} 是否允许
+   */
+  static canAccessHost(principal, hostname) {
+    return principal.hosts === null || PatternMatcher.matchHost(hostname, principal.hosts);
+  }
+
+  /**
+   * 常量时间比较两个字符串
+   * 先计算SHA-256摘要，使比较时间与字符串长度和内容无关
+   * @param {string} a - 字符串a
+   * @param {string} b - 字符串b
+   * @returns {Promise<boolean>} 是否相等
+   */
+  static async timingSafeEqual(a, b) {
+    const encoder = new TextEncoder();
+    const [digestA, digestB] = await Promise.all([
+      crypto.subtle.digest('SHA-256', encoder.encode(String(a))),
+      crypto.subtle.digest('SHA-256', encoder.encode(String(b))),
+    ]);
+    const bytesA = new Uint8Array(digestA);
+    const bytesB = new Uint8Array(digestB);
+    let diff = 0;
+    for (let i = 0; i < bytesA.length; i++) {
+      diff |= bytesA[i] ^ bytesB[i];
+    }
+    return diff === 0;
+  }
+
+  /**
+   * 计算HMAC-SHA256签名
+   * @param {string} key - 密钥
+   * @param {string} message - 签名内容
+   * @returns {Promise<string>} base64url编码的签名
+   */
+  static async hmacSha256(key, message) {
+    const encoder = new TextEncoder();
+    const cryptoKey = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(key),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(message));
+    return btoa(String.fromCharCode(...new Uint8Array(signature)))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  /**
+   * 计算字符串的SHA-256十六进制摘要
+   * @param {string} value - 字符串
+   * @returns {Promise<string>} 十六进制摘要
+   */
+  static async sha256Hex(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+}
\ No newline at end of file
@@ -6,7 +6,26 @@ export class ConfigManager {
   // 默认配置
   static DEFAULT_CONFIG = {
     // 认证令牌，务必在此处或填入环境变量来修改
+    // 令牌可以作为路径首段 /<token>/https/...，也可以通过 Authorization: Bearer <token>、
+    // Proxy-Authorization: Basic base64(user:<token>) 或签名查询参数 spectre_expires/spectre_signature 提供
     AUTH_TOKEN: "your_auth_token_here",
+    // 带权限范围的令牌表（JSON），以令牌为键，例如：
+    // {"team-a-token": {"strategies": ["socks5"], "hosts": ["*.example.com"], "dns": false, "websocket": true, "expires": "2026-12-31T00:00:00Z"}}
+    // strategies为该令牌可用的策略（优先于ALLOWED_STRATEGIES），hosts为允许访问的目标主机通配符，
+    // dns/websocket控制DNS查询和WebSocket访问，expires为过期时间（ISO 8601或Unix秒），未指定的字段不做限制
+    AUTH_TOKENS: "",
+    // 存放令牌表的KV命名空间绑定名称，键为令牌的SHA-256十六进制摘要，值为与AUTH_TOKENS相同格式的权限JSON
+    // 删除KV中的键即可吊销令牌，无需重新部署
+    AUTH_TOKENS_KV: "",
+    // 签名URL密钥，用于生成和验证 /s/<expiry>/<signature>/https/host/path 形式的限时链接
+    // 分享链接时无需暴露AUTH_TOKEN，留空表示不启用签名URL
+    // 持有令牌时通过 /<token>/sign/<有效秒数>[.<METHOD>][.p<n>]/https/host/path 生成签名URL，
+    // METHOD将链接绑定到指定的HTTP方法，p<n>只签名目标的前n段（含scheme和host），返回 {url, expires}
+    // 签名URL继承令牌的策略和WebSocket限制，可用 s-<strategy>+... 和 nows 进一步收窄
+    SIGNED_URL_SECRET: "",
+    // 正向代理模式：启用后，通过Proxy-Authorization认证的请求按绝对形式处理（GET http://host/path），请求URL本身即为目标，
+    // 可直接配置为客户端的HTTP_PROXY；此时路径形式的请求应使用路径令牌或Authorization: Bearer认证
+    FORWARD_PROXY: false,
     // 默认目标URL
     DEFAULT_DST_URL: "https://httpbin.org/get",
     // 调试模式，默认关闭
@@ -14,17 +33,77 @@ export class ConfigManager {
     // 主代理策略
     PROXY_STRATEGY: "socket",
     // 回退策略，当主策略不可用时将请求转发到回退策略
-    // 可选fetch, socks5, thirdparty, cloudprovider，只对HTTP请求有效
+    // 可选fetch, socks5, httpproxy, thirdparty, cloudprovider，只对HTTP请求有效
     // 对于普通用户，建议使用fetch作为回退策略
     // 对于希望保护隐私，但不方便自建socks5或第三方代理的用户，建议使用cloudprovider策略
     // 对于需要严格保护隐私的用户且有条件自建socks5或第三方代理的用户，建议使用socks5或thirdparty策略
     FALLBACK_PROXY_STRATEGY: "fetch",
+    // 回退链，逗号分隔，主策略失败后按顺序尝试，例如 "socks5,cloudprovider,fetch"
+    // 每一步可写作 "策略:超时毫秒:触发条件"，多个触发条件以+连接，可选 network、error、timeout、5xx
+    // 例如 "socks5:5000:network+error+timeout,fetch::network+error+timeout+5xx"
+    // 留空时仅socket策略在Cloudflare网络限制时回退到FALLBACK_PROXY_STRATEGY
+    FALLBACK_CHAIN: "",
+    // 每一步的默认超时（毫秒，计算到收到响应头为止），0表示不限制
+    FALLBACK_TIMEOUT: 0,
+    // 回退链步骤未指定触发条件时使用的默认触发条件
+    FALLBACK_TRIGGERS: "network,error,timeout",
+    // 允许客户端按请求选择的策略列表，逗号分隔，例如 "socket,socks5,fetch"
+    // 客户端可通过路径 /<token>/via/<strategy>/https/... 或请求头 X-Spectre-Strategy 选择策略
+    // 留空表示不允许客户端选择，所有请求均使用PROXY_STRATEGY
+    ALLOWED_STRATEGIES: "",
+
+    // 目标访问控制，对所有策略生效（包括thirdparty和cloudprovider的target参数）
+    // 允许的目标协议，逗号分隔；添加 "tcp" 以启用 /<token>/tcp/<host>/<port> 和 X-Spectre-Connect 形式的WebSocket TCP隧道
+    ALLOWED_SCHEMES: "http,https,ws,wss",
+    // 允许的目标端口，逗号分隔，支持范围，例如 "80,443,8000-9000"，留空表示不限制
+    ALLOWED_PORTS: "",
+    // 禁止的目标端口，逗号分隔，支持范围
+    DENIED_PORTS: "25",
+    // 允许的目标主机，逗号分隔，支持通配符和CIDR，例如 "*.example.com,203.0.113.0/24"，留空表示不限制
+    ALLOWED_HOSTS: "",
+    // 禁止的目标主机，逗号分隔，支持通配符和CIDR，优先于ALLOWED_HOSTS
+    DENIED_HOSTS: "",
+    // 禁止访问私有、回环和链路本地地址（包括IPv4映射的IPv6地址）以及localhost
+    BLOCK_PRIVATE_ADDRESSES: true,
+
+    // 重定向处理方式
+    // none: 直接将3xx响应返回给客户端（fetch策略也不自动跟随，避免重定向目标绕过访问控制）
+    // follow: 在Worker内部使用同一策略跟随重定向，每一跳都重新检查访问控制规则和令牌权限
+    // rewrite: 将Location和Content-Location改写为 /<token>/<scheme>/<host>/... 形式，使客户端的下一次请求仍经过代理
+    REDIRECT_MODE: "none",
+    // follow模式下最多跟随的重定向次数
+    MAX_REDIRECTS: 5,
+
+    // WebSocket中继从目标服务器接收的单帧和完整消息（含所有分片）的最大字节数，超过时以1009关闭连接，0表示不限制
+    WEBSOCKET_MAX_FRAME_SIZE: 8388608,
+    WEBSOCKET_MAX_MESSAGE_SIZE: 16777216,
+
+    // socket/socks5/httpproxy策略的目标域名解析方式
+    // off: 由connect()、SOCKS服务器或HTTP代理解析（默认）
+    // doh/dot: 通过本项目的DoH/DoT上游解析（遵循DNS缓存、过滤和DNSSEC配置），再按IP地址连接，TLS的SNI和Host头部仍使用域名
+    // socks5: 通过SOCKS5_ADDRESS向DNS_SOCKS5_UPSTREAMS查询，解析流量也经过SOCKS5出口
+    // 解析得到的地址会再次按DENIED_HOSTS、BLOCK_PRIVATE_ADDRESSES以及ALLOWED_HOSTS中的IP/CIDR检查
+    EGRESS_DNS: "off",
+    // 固定解析，逗号分隔，格式 "域名=IP"，支持 * 通配符，例如 "api.example.com=203.0.113.10"；优先于EGRESS_DNS，即使EGRESS_DNS为off也生效
+    DNS_PINS: "",
 
     // 代理IP
     //PROXY_IP: "", //暂未实现，请勿填写
 
-    // SOCKS5代理地址，格式 "host:port"
+    // SOCKS5代理地址，格式 "[user:pass@]host:port"，多个出口用逗号分隔，末尾可添加 ";weight=<n>" 指定权重
     SOCKS5_ADDRESS: "",
+    // 多个SOCKS5出口的选择策略：round-robin: 轮询；random: 随机；weighted: 按权重随机；sticky: 同一目标主机固定使用同一出口
+    // 出口失败时依次尝试下一个出口；客户端可通过请求头 X-Spectre-Socks5-Exit: <host:port> 指定出口（不做故障转移）
+    SOCKS5_POLICY: "round-robin",
+    // 握手或认证失败的出口的冷却时间（毫秒），冷却期间排在其他出口之后，0表示不冷却
+    SOCKS5_COOLDOWN: 60000,
+    // 与单个出口完成SOCKS5握手（问候、认证和CONNECT应答）的超时时间（毫秒），超时视为出口失败并尝试下一个出口，0表示不限制
+    SOCKS5_HANDSHAKE_TIMEOUT: 5000,
+    // httpproxy策略的上游HTTP代理地址，格式 "[http://][user:pass@]host:port"，提供用户名密码时使用Basic认证
+    // HTTPS/WSS目标通过CONNECT隧道进行端到端TLS；HTTP目标以绝对形式请求发送给代理
+    HTTP_PROXY_ADDRESS: "",
+    // 与上游HTTP代理建立CONNECT隧道（连接代理并收到CONNECT应答）的超时时间（毫秒），0表示不限制
+    HTTP_PROXY_HANDSHAKE_TIMEOUT: 5000,
     // thirdparty策略的代理地址
     THIRD_PARTY_PROXY_URL: "",
     // 其他云服务商函数URL
@@ -36,6 +115,70 @@ export class ConfigManager {
     // DoT服务器配置，默认使用Google的DoT服务器
     DOT_SERVER_HOSTNAME: "dns.google",
     DOT_SERVER_PORT: 853,
+    // 上游DoH服务器列表，逗号分隔，例如 "https://dns.google/dns-query,https://cloudflare-dns.com/dns-query"
+    // 留空时使用DOH_SERVER_HOSTNAME/DOH_SERVER_PORT/DOH_SERVER_PATH
+    DOH_UPSTREAMS: "",
+    // 上游DoT服务器列表，逗号分隔，格式 "host[:port]"，例如 "dns.google,1.1.1.1:853"
+    // 留空时使用DOT_SERVER_HOSTNAME/DOT_SERVER_PORT
+    // 同一请求内对同一上游的查询共用一条连接（pipelining），请求结束时关闭连接
+    // Workers中的套接字只能在打开它的请求内使用，因此连接不会跨请求复用
+    DOT_UPSTREAMS: "",
+    // /dns/socks5 的上游DNS服务器列表，格式 "host[:port]"，端口默认53
+    // 查询通过SOCKS5_ADDRESS以DNS over TCP发送，与socks5策略使用同一出口（SOCKS5服务器需允许连接这些地址的53端口）
+    // 只使用SOCKS5的CONNECT命令，不支持UDP ASSOCIATE和BIND：Workers只能建立出站TCP连接，既不能发送UDP数据报，也不能监听入站连接
+    DNS_SOCKS5_UPSTREAMS: "8.8.8.8,1.1.1.1",
+    // 上游选择策略，上游超时、连接失败或返回SERVFAIL时尝试下一个上游
+    // failover: 按顺序尝试；random: 随机顺序；race: 同时查询前两个上游，采用最先返回的有效响应
+    DNS_UPSTREAM_POLICY: "failover",
+    // 单个上游的查询超时（毫秒），0表示不限制
+    DNS_UPSTREAM_TIMEOUT: 5000,
+
+    // DNS响应缓存，按查询名称、类型和DO位缓存上游响应，命中时改写ID并递减TTL
+    // auto: 优先使用Workers Cache API，不可用时使用内存缓存；cache: 仅使用Cache API；memory: 仅使用内存缓存；off: 关闭缓存
+    DNS_CACHE: "auto",
+    // DNS响应的最长缓存时间（秒），0表示只遵循记录的TTL
+    DNS_CACHE_MAX_TTL: 3600,
+
+    // 发往上游的查询中的EDNS客户端子网（ECS）
+    // strip: 移除客户端携带的ECS；keep: 保留客户端携带的ECS；subnet: 携带DNS_ECS_SUBNET；client: 携带按前缀截断的CF-Connecting-IP
+    DNS_ECS: "strip",
+    // subnet模式使用的子网，例如 "203.0.113.0/24"
+    DNS_ECS_SUBNET: "",
+    // client模式下IPv4/IPv6客户端地址保留的前缀长度
+    DNS_ECS_IPV4_PREFIX: 24,
+    DNS_ECS_IPV6_PREFIX: 56,
+    // 是否按RFC 8467填充发往上游的查询（128字节块），客户端查询带填充选项时同时填充响应（468字节块）
+    DNS_PADDING: true,
+
+    // Oblivious DoH（RFC 9230），路径 /<token>/dns/odoh
+    // 中继模式允许的目标主机，逗号分隔，支持通配符，留空表示不限制（仍受访问控制规则约束）
+    ODOH_TARGET_HOSTS: "",
+    // 目标模式的X25519私钥（64位十六进制或base64），配置后本Worker可作为ODoH目标，并在 /.well-known/odohconfigs 发布密钥配置
+    ODOH_PRIVATE_KEY: "",
+
+    // DNSSEC验证：启用后向上游请求签名记录并自行验证签名链，验证失败（bogus）的应答返回SERVFAIL，验证通过的应答设置AD位
+    DNSSEC_VALIDATION: false,
+    // 信任锚，DS记录格式（如 ". 20326 8 2 E06D..."），多个用逗号或换行分隔，为空时使用根区域的KSK
+    DNSSEC_TRUST_ANCHORS: "",
+
+    // DNS过滤规则，在查询上游之前匹配，命中的查询在本地应答
+    // 域名规则格式："example.com" 只匹配该域名；"||example.com^" 匹配该域名及子域名；支持 * 和 ? 通配符
+    // 拦截的域名，逗号分隔
+    DNS_BLOCKLIST: "",
+    // 不拦截的域名，逗号分隔，优先于DNS_BLOCKLIST和DNS_BLOCKLIST_URLS
+    DNS_ALLOWLIST: "",
+    // 拦截规则列表地址，逗号分隔，支持hosts格式、adblock格式（||domain^）和每行一个域名的格式
+    DNS_BLOCKLIST_URLS: "",
+    // 规则列表的刷新间隔（秒），0表示只在首次使用时下载
+    DNS_BLOCKLIST_REFRESH: 86400,
+    // 拦截时的应答方式：nxdomain、zero（A返回0.0.0.0，AAAA返回::）、refused
+    DNS_BLOCK_RESPONSE: "nxdomain",
+    // 本地解析，逗号分隔，格式 "域名=IP"，同一域名可配置多条，例如 "nas.home=192.168.1.10,nas.home=fd00::10"
+    DNS_HOSTS: "",
+    // CNAME改写，逗号分隔，格式 "域名=目标域名"，例如 "||search.example^=safe.search.example"
+    DNS_REWRITES: "",
+    // 本地应答记录的TTL（秒）
+    DNS_FILTER_TTL: 300,
   };
 
   /**
@@ -71,4 +214,20 @@ export class ConfigManager {
   static getConfigValue(config, key, defaultValue = null) {
     return config[key] !== undefined ? config[key] : defaultValue;
   }
+
+  /**
+   * 获取列表类型的配置值
+   * @param {object} config - 配置对象
+   * @param {string} key - 配置键
+   * @returns {string[]} 配置值列表，支持数组或逗号、换行分隔的字符串
+   */
+  static getListValue(config, key) {
+    const value = config[key];
+    if (Array.isArray(value)) return value;
+    if (!value) return [];
+    return String(value)
+      .split(/[,\n]/)
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,323 @@
+/**
+ * 内容改写器
+ * 以流的方式将HTML和CSS中的URL改写为代理URL，使通过代理浏览网页时所有资源请求仍经过代理
+ * 同时改写Location、Set-Cookie和Content-Security-Policy等响应头部
+ */
+export class ContentRewriter {
+  // 包含URL的HTML属性，格式为 [元素, 属性]
+  static URL_ATTRIBUTES = [
+    ['a', 'href'], ['area', 'href'], ['link', 'href'],
+    ['img', 'src'], ['script', 'src'], ['iframe', 'src'], ['frame', 'src'], ['embed', 'src'],
+    ['source', 'src'], ['track', 'src'], ['audio', 'src'], ['video', 'src'], ['input', 'src'],
+    ['video', 'poster'], ['object', 'data'],
+    ['form', 'action'], ['button', 'formaction'], ['input', 'formaction'],
+    ['blockquote', 'cite'], ['q', 'cite'], ['ins', 'cite'], ['del', 'cite'],
+  ];
+
+  // 包含srcset属性的元素
+  static SRCSET_ELEMENTS = ['img', 'source'];
+
+  // 需要改写为代理URL的响应头部
+  static LOCATION_HEADERS = ['Location', 'Content-Location'];
+
+  // 需要改写的CSP头部
+  static CSP_HEADERS = ['Content-Security-Policy', 'Content-Security-Policy-Report-Only'];
+
+  // CSS流式改写时最多缓存的字符数，超过后即使没有遇到分隔符也输出
+  static MAX_CSS_PENDING = 65536;
+
+  /**
+   * 构造函数
+   * @param {object} config - 配置对象
+   * @param {ProxiedUrl} proxiedUrl - 代理URL构造器
+   */
+  constructor(config, proxiedUrl) {
+    this.config = config;
+    this.proxiedUrl = proxiedUrl;
+    this.log = config.DEBUG_MODE
+      ? (message, data = "") => console.log(`[DEBUG] ${message}`, data)
+      : () => {};
+  }
+
+  /**
+   * 改写响应
+   * @param {Response} response - 任一策略connectHttp返回的响应
+   * @param {string} baseUrl - 响应对应的目标URL，用于解析相对地址
+   * @returns {Response} 改写后的响应
+   */
+  rewrite(response, baseUrl) {
+    const headers = this.rewriteHeaders(response.headers, baseUrl);
+    const contentType = (headers.get('Content-Type') || '').toLowerCase();
+    const init = { status: response.status, statusText: response.statusText, headers };
+
+    if (!response.body) {
+      return new Response(null, init);
+    }
+    if (contentType.includes('text/html') || contentType.includes('application/xhtml+xml')) {
+      this.log("Rewriting HTML from", baseUrl);
+      headers.delete('Content-Length');
+      return this.rewriteHtml(new Response(response.body, init), baseUrl);
+    }
+    if (contentType.includes('text/css')) {
+      this.log("Rewriting CSS from", baseUrl);
+      headers.delete('Content-Length');
+      return new Response(this.rewriteCssStream(response.body, baseUrl), init);
+    }
+    return new Response(response.body, init);
+  }
+
+  /**
+   * 改写响应头部
+   * @param {Headers} original - 原始响应头部
+   * @param {string} baseUrl - 目标URL
+   * @returns {Headers} 改写后的响应头部
+   */
+  rewriteHeaders(original, baseUrl) {
+    const headers = new Headers(original);
+
+    for (const name of ContentRewriter.LOCATION_HEADERS) {
+      if (headers.has(name)) {
+        headers.set(name, this.rewriteUrl(headers.get(name), baseUrl));
+      }
+    }
+    if (headers.has('Refresh')) {
+      headers.set('Refresh', this.rewriteRefresh(headers.get('Refresh'), baseUrl));
+    }
+    if (headers.has('Link')) {
+      headers.set('Link', headers.get('Link').replace(/<([^>]*)>/g, (_, url) => `<${this.rewriteUrl(url, baseUrl)}>`));
+    }
+    for (const name of ContentRewriter.CSP_HEADERS) {
+      if (headers.has(name)) {
+        headers.set(name, this.rewriteCsp(headers.get(name), baseUrl));
+      }
+    }
+
+    const cookies = headers.getSetCookie();
+    if (cookies.length) {
+      headers.delete('Set-Cookie');
+      for (const cookie of cookies) {
+        headers.append('Set-Cookie', this.rewriteCookie(cookie, baseUrl));
+      }
+    }
+    return headers;
+  }
+
+  /**
+   * 使用HTMLRewriter改写HTML中的URL
+   * @param {Response} response - HTML响应
+   * @param {string} baseUrl - 目标URL，遇到<base href>时更新
+   * @returns {Response} 改写后的响应
+   */
+  rewriteHtml(response, baseUrl) {
+    let base = baseUrl;
+    let styleText = '';
+    const rewriter = new HTMLRewriter()
+      .on('base[href]', {
+        element: (el) => {
+          // 后续的相对地址以<base>指定的地址为基准
+          const href = el.getAttribute('href');
+          try {
+            base = new URL(href, base).href;
+          } catch (e) {
+            // 忽略无效的<base>地址
+          }
+          el.setAttribute('href', this.rewriteUrl(href, baseUrl));
+        },
+      })
+      .on('[srcset]', {
+        element: (el) => {
+          if (ContentRewriter.SRCSET_ELEMENTS.includes(el.tagName)) {
+            el.setAttribute('srcset', this.rewriteSrcset(el.getAttribute('srcset'), base));
+          }
+        },
+      })
+      .on('[style]', {
+        element: (el) => el.setAttribute('style', this.rewriteCssText(el.getAttribute('style'), base)),
+      })
+      .on('meta[http-equiv]', {
+        element: (el) => {
+          const equiv = el.getAttribute('http-equiv').toLowerCase();
+          const content = el.getAttribute('content');
+          if (content === null) return;
+          if (equiv === 'refresh') {
+            el.setAttribute('content', this.rewriteRefresh(content, base));
+          } else if (equiv === 'content-security-policy') {
+            el.setAttribute('content', this.rewriteCsp(content, base));
+          }
+        },
+      })
+      .on('style', {
+        // <style>的文本可能被拆分为多个片段，缓存到文本节点结束后统一改写
+        text: (chunk) => {
+          styleText += chunk.text;
+          if (chunk.lastInTextNode) {
+            chunk.replace(this.rewriteCssText(styleText, base), { html: true });
+            styleText = '';
+          } else {
+            chunk.remove();
+          }
+        },
+      })
+      .on('script[integrity], link[integrity]', {
+        // 改写后的资源内容可能变化，移除子资源完整性校验
+        element: (el) => el.removeAttribute('integrity'),
+      });
+
+    for (const [tag, attribute] of ContentRewriter.URL_ATTRIBUTES) {
+      rewriter.on(`${tag}[${attribute}]`, {
+        element: (el) => el.setAttribute(attribute, this.rewriteUrl(el.getAttribute(attribute), base)),
+      });
+    }
+    return rewriter.transform(response);
+  }
+
+  /**
+   * 以流的方式改写CSS
+   * 只在 } 或换行处切分，避免url()被数据块截断
+   * @param {ReadableStream} body - CSS响应体
+   * @param {string} baseUrl - 目标URL
+   * @returns {ReadableStream} 改写后的响应体
+   */
+  rewriteCssStream(body, baseUrl) {
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    let pending = '';
+
+    const emit = (controller, final) => {
+      let cut = pending.length;
+      if (!final) {
+        cut = Math.max(pending.lastIndexOf('}'), pending.lastIndexOf('\n')) + 1;
+        if (cut === 0 && pending.length < ContentRewriter.MAX_CSS_PENDING) return;
+        if (cut === 0) cut = pending.length;
+      }
+      const text = pending.slice(0, cut);
+      pending = pending.slice(cut);
+      if (text) controller.enqueue(encoder.encode(this.rewriteCssText(text, baseUrl)));
+    };
+
+    return body.pipeThrough(new TransformStream({
+      transform: (chunk, controller) => {
+        pending += decoder.decode(chunk, { stream: true });
+        emit(controller, false);
+      },
+      flush: (controller) => {
+        pending += decoder.decode();
+        emit(controller, true);
+      },
+    }));
+  }
+
+  /**
+   * 改写CSS文本中的url()和@import
+   * @param {string} css - CSS文本
+   * @param {string} baseUrl - 目标URL
+   * @returns {string} 改写后的CSS文本
+   */
+  rewriteCssText(css, baseUrl) {
+    return css
+      .replace(/url\(\s*(['"]?)([^'")]*)\1\s*\)/gi, (_, quote, url) => `url(${quote}${this.rewriteUrl(url, baseUrl)}${quote})`)
+      .replace(/@import\s+(['"])([^'"]+)\1/gi, (_, quote, url) => `@import ${quote}${this.rewriteUrl(url, baseUrl)}${quote}`);
+  }
+
+  /**
+   * 改写srcset属性，格式为逗号分隔的 "URL 描述符"
+   * @param {string} srcset - srcset属性值
+   * @param {string} baseUrl - 目标URL
+   * @returns {string} 改写后的srcset
+   */
+  rewriteSrcset(srcset, baseUrl) {
+    // URL本身可以包含逗号（例如data: URL），因此按HTML规范逐个解析候选项而不是直接按逗号切分
+    const candidates = [];
+    const pattern = /[\s,]*([^\s,][^\s]*?)(,+(?=\s|$)|\s+([^,]*(?:,|$))|$)/gy;
+    let match;
+    while (pattern.lastIndex < srcset.length && (match = pattern.exec(srcset)) && match[0]) {
+      const [, url, , descriptors = ''] = match;
+      const descriptor = descriptors.replace(/,$/, '').trim();
+      candidates.push(descriptor ? `${this.rewriteUrl(url, baseUrl)} ${descriptor}` : this.rewriteUrl(url, baseUrl));
+    }
+    return candidates.join(', ');
+  }
+
+  /**
+   * 改写Refresh头部或<meta http-equiv="refresh">，格式为 "秒数; url=地址"
+   * @param {string} value - 原始值
+   * @param {string} baseUrl - 目标URL
+   * @returns {string} 改写后的值
+   */
+  rewriteRefresh(value, baseUrl) {
+    return value.replace(
+      /^(\s*[\d.]+\s*[;,]\s*(?:url\s*=\s*)?)(['"]?)(.+?)\2\s*$/i,
+      (_, lead, quote, url) => `${lead}${quote}${this.rewriteUrl(url, baseUrl)}${quote}`
+    );
+  }
+
+  /**
+   * 改写Set-Cookie
+   * 移除Domain属性，使Cookie属于代理自身的域名；Path属性改为对应的代理路径，使不同目标站点的Cookie相互隔离
+   * @param {string} cookie - Set-Cookie头部值
+   * @param {string} baseUrl - 目标URL
+   * @returns {string} 改写后的Set-Cookie
+   */
+  rewriteCookie(cookie, baseUrl) {
+    const [pair, ...attributes] = cookie.split(';');
+    const rewritten = [pair.trim()];
+    for (const attribute of attributes) {
+      const [name, ...rest] = attribute.trim().split('=');
+      const key = name.toLowerCase();
+      if (key === 'domain' || !key) continue;
+      if (key === 'path') {
+        const proxied = this.proxiedUrl.toProxied(new URL(rest.join('=') || '/', baseUrl));
+        rewritten.push(`Path=${proxied ? new URL(proxied).pathname : '/'}`);
+        continue;
+      }
+      rewritten.push(attribute.trim());
+    }
+    return rewritten.join('; ');
+  }
+
+  /**
+   * 改写Content-Security-Policy
+   * 所有资源都经过代理加载，因此主机来源替换为 'self'，report-uri改写为代理URL
+   * @param {string} policy - CSP策略
+   * @param {string} baseUrl - 目标URL
+   * @returns {string} 改写后的CSP策略
+   */
+  rewriteCsp(policy, baseUrl) {
+    return policy
+      .split(';')
+      .map((directive) => {
+        const [name, ...sources] = directive.trim().split(/\s+/);
+        if (!name) return null;
+        if (name.toLowerCase() === 'report-uri') {
+          return [name, ...sources.map((url) => this.rewriteUrl(url, baseUrl))].join(' ');
+        }
+        const rewritten = sources.map((source) => (this.isHostSource(source) ? "'self'" : source));
+        return [name, ...new Set(rewritten)].join(' ');
+      })
+      .filter(Boolean)
+      .join('; ');
+  }
+
+  /**
+   * 检查CSP来源是否为主机来源（例如 "cdn.example.com"、"https://*.example.com"）
+   * 关键字（'self'、'nonce-...'等）、协议来源（例如 "data:"）和 * 不属于主机来源
+   * @param {string} source - CSP来源
+   * @returns {boolean} 是否为主机来源
+   */
+  isHostSource(source) {
+    return !source.startsWith("'") && source !== '*' && !/^[a-z][a-z0-9+.-]*:$/i.test(source);
+  }
+
+  /**
+   * 将单个URL改写为代理URL
+   * 片段链接和无法代理的协议（data:、javascript:、mailto:等）保持不变
+   * @param {string} value - 原始URL
+   * @param {string} baseUrl - 目标URL
+   * @returns {string} 改写后的URL
+   */
+  rewriteUrl(value, baseUrl) {
+    const url = value.trim();
+    if (!url || url.startsWith('#')) return value;
+    return this.proxiedUrl.rewrite(url, baseUrl);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,180 @@
+import { DnsMessage } from './message.js';
+
+/**
+ * DNS响应缓存
+ * 按查询名称、类型、类别、DO位和ECS子网缓存上游响应，命中时改写报文ID并按经过的时间递减TTL
+ * 优先使用Workers Cache API，不可用时使用当前isolate内的内存缓存
+ */
+export class DnsCache {
+  // 可用的缓存方式
+  static MODES = ['auto', 'cache', 'memory', 'off'];
+
+  // 内存缓存，在同一isolate的请求之间共享
+  static memory = new Map();
+
+  // 内存缓存的最大条目数，超过后淘汰最早写入的条目
+  static MAX_MEMORY_ENTRIES = 1000;
+
+  // Cache API使用的虚拟URL前缀
+  static CACHE_URL = 'https://dns-cache.spectre.invalid/';
+
+  /**
+   * 构造函数
+   * @param {object} config - 配置对象
+   */
+  constructor(config) {
+    const mode = String(config.DNS_CACHE || 'off').toLowerCase();
+    if (!DnsCache.MODES.includes(mode)) {
+      throw new Error(`Invalid DNS cache mode: ${config.DNS_CACHE}`);
+    }
+    // store为实际使用的缓存方式，null表示不缓存
+    const cacheApi = typeof caches !== 'undefined' && caches.default ? 'cache' : null;
+    this.store = { auto: cacheApi || 'memory', cache: cacheApi, memory: 'memory', off: null }[mode];
+    this.maxTtl = Number(config.DNS_CACHE_MAX_TTL) || 0;
+    this.log = config.DEBUG_MODE
+      ? (message, data = "") => console.log(`[DEBUG] ${message}`, data)
+      : () => {};
+  }
+
+  /**
+   * 查找缓存的响应
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {Promise<Uint8Array|null>} 已改写ID和TTL的响应报文，未命中时返回null
+   */
+  async get(query) {
+    if (!this.store) return null;
+    try {
+      const key = DnsCache.getKey(query);
+      if (!key) return null;
+
+      let entry = null;
+      if (this.store === 'cache') {
+        const cached = await caches.default.match(DnsCache.CACHE_URL + encodeURIComponent(key));
+        if (cached) {
+          entry = {
+            answer: new Uint8Array(await cached.arrayBuffer()),
+            storedAt: Number(cached.headers.get('X-Spectre-Stored-At')),
+            ttl: Number(cached.headers.get('X-Spectre-Ttl')),
+          };
+        }
+      } else {
+        entry = DnsCache.memory.get(key) || null;
+      }
+      if (!entry) return null;
+
+      const elapsed = Math.floor((Date.now() - entry.storedAt) / 1000);
+      if (elapsed >= entry.ttl) {
+        if (this.store === 'memory') DnsCache.memory.delete(key);
+        return null;
+      }
+      this.log("DNS cache hit", key);
+      return DnsCache.adjust(entry.answer, query, elapsed);
+    } catch (error) {
+      this.log("DNS cache lookup failed", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 缓存上游响应
+   * @param {Uint8Array} query - DNS查询报文
+   * @param {Uint8Array} answer - DNS响应报文
+   * @returns {Promise<void>}
+   */
+  async put(query, answer) {
+    if (!this.store) return;
+    try {
+      const key = DnsCache.getKey(query);
+      if (!key) return;
+      let ttl = DnsCache.getTtl(DnsMessage.parse(answer));
+      if (this.maxTtl) ttl = Math.min(ttl, this.maxTtl);
+      if (ttl <= 0) return;
+
+      const storedAt = Date.now();
+      if (this.store === 'cache') {
+        await caches.default.put(DnsCache.CACHE_URL + encodeURIComponent(key), new Response(answer, {
+          headers: {
+            'Content-Type': 'application/dns-message',
+            'Cache-Control': `max-age=${ttl}`,
+            'X-Spectre-Stored-At': String(storedAt),
+            'X-Spectre-Ttl': String(ttl),
+          },
+        }));
+      } else {
+        DnsCache.memory.delete(key);
+        DnsCache.memory.set(key, { answer: answer.slice(), storedAt, ttl });
+        while (DnsCache.memory.size > DnsCache.MAX_MEMORY_ENTRIES) {
+          DnsCache.memory.delete(DnsCache.memory.keys().next().value);
+        }
+      }
+      this.log(`DNS cache store (${ttl}s)`, key);
+    } catch (error) {
+      this.log("DNS cache store failed", error.message);
+    }
+  }
+
+  /**
+   * 计算查询的缓存键
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {string|null} 缓存键，不可缓存的查询返回null
+   */
+  static getKey(query) {
+    const message = DnsMessage.parse(query);
+    if (message.qr || message.opcode !== 0 || message.questions.length !== 1) return null;
+    const [question] = message.questions;
+    const dnssecOk = message.edns?.dnssecOk ? 1 : 0;
+    // CD位决定上游是否验证DNSSEC，两种响应不能混用
+    const checkingDisabled = message.cd ? 1 : 0;
+    // 携带ECS选项的查询按子网分别缓存
+    const ecs = message.edns?.options.find((option) => option.code === DnsMessage.EDNS_OPTIONS.ECS);
+    const subnet = ecs ? `/${DnsMessage.toHex(ecs.data)}` : '';
+    return `${question.name.toLowerCase()}/${question.type}/${question.class}/${dnssecOk}${checkingDisabled}${subnet}`;
+  }
+
+  /**
+   * 计算响应的缓存时间
+   * 取应答和授权部分记录的最小TTL，否定应答使用SOA记录的TTL和minimum中的较小值（RFC 2308）
+   * @param {object} message - 解析后的响应
+   * @returns {number} 缓存秒数，不可缓存时返回0
+   */
+  static getTtl(message) {
+    const { NOERROR, NXDOMAIN } = DnsMessage.RCODES;
+    if (message.tc || (message.rcode !== NOERROR && message.rcode !== NXDOMAIN)) return 0;
+
+    const records = [...message.answers, ...message.authorities];
+    if (!message.answers.length) {
+      const soa = message.authorities.find((record) => record.type === DnsMessage.TYPES.SOA);
+      return soa ? Math.min(soa.ttl, soa.data.minimum) : 0;
+    }
+    return records.length ? Math.min(...records.map((record) => record.ttl)) : 0;
+  }
+
+  /**
+   * 改写缓存的响应报文：使用查询的ID和问题部分（保留客户端的大小写），并递减TTL
+   * @param {Uint8Array} answer - 缓存的响应报文
+   * @param {Uint8Array} query - 当前查询报文
+   * @param {number} elapsed - 缓存后经过的秒数
+   * @returns {Uint8Array} 改写后的响应报文
+   */
+  static adjust(answer, query, elapsed) {
+    const result = answer.slice();
+    const view = new DataView(result.buffer);
+    result.set(query.subarray(0, 2), 0);
+
+    // 问题部分只有大小写可能不同（DNS 0x20），长度相同时直接复制
+    const questionEnd = DnsMessage.readName(query, DnsMessage.HEADER_LENGTH).offset + 4;
+    const question = query.subarray(DnsMessage.HEADER_LENGTH, questionEnd);
+    const cachedQuestion = result.subarray(DnsMessage.HEADER_LENGTH, questionEnd);
+    const lower = (bytes) => Array.from(bytes, (b) => (b >= 0x41 && b <= 0x5a ? b | 0x20 : b)).join(',');
+    if (lower(question) === lower(cachedQuestion)) {
+      cachedQuestion.set(question);
+    }
+
+    // TTL位于记录数据之前6字节处
+    const message = DnsMessage.parse(result);
+    for (const record of [...message.answers, ...message.authorities, ...message.additionals]) {
+      view.setUint32(record.rdataOffset - 6, Math.max(record.ttl - elapsed, 0));
+    }
+    return result;
+  }
+}
\ No newline at end of file
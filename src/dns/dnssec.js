@@ -0,0 +1,1029 @@
+import { DnsMessage } from './message.js';
+import { ConfigManager } from '../config.js';
+
+const { TYPES } = DnsMessage;
+
+/**
+ * DNSSEC验证器（RFC 4033 / 4034 / 4035 / 5155）
+ * 向上游发送带DO和CD位的查询，自行验证RRSIG签名链直到信任锚：
+ * - 从根区域开始逐级查询DS记录，用父区域的密钥验证DS，再用DS验证子区域的DNSKEY
+ * - 没有DS的委派需要由签名的NSEC/NSEC3证明，证明成立时该区域视为不安全（insecure）
+ * - 否定应答（NXDOMAIN/NODATA）和通配符展开的应答需要签名的NSEC/NSEC3证明
+ * 验证结果：secure（设置AD位）、insecure（不设置AD位）、bogus（返回SERVFAIL）
+ */
+export class DnssecValidator {
+  // 根区域信任锚：KSK-2017 和 KSK-2024
+  static ROOT_TRUST_ANCHORS = [
+    '. 20326 8 2 E06D44B80B8F1D39A95C0B0D7C65D08458E880409BBC683457104237C7F8EC8D',
+    '. 38696 8 2 683D2D0ACB8C9B712A1948B27F741219298D0A450D612C483AF444A4C0FB2B16',
+  ];
+
+  // 支持的签名算法，其他算法的区域视为不安全（RFC 4035 5.2）
+  static ALGORITHMS = {
+    5: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-1' },
+    7: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-1' },
+    8: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    10: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+    13: { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' },
+    14: { name: 'ECDSA', namedCurve: 'P-384', hash: 'SHA-384' },
+    15: { name: 'Ed25519' },
+  };
+
+  // 支持的DS摘要算法
+  static DIGESTS = { 1: 'SHA-1', 2: 'SHA-256', 4: 'SHA-384' };
+
+  // NSEC3迭代次数上限，超过时视为不安全（RFC 9276）
+  static MAX_NSEC3_ITERATIONS = 150;
+
+  // 扩展DNS错误（RFC 8914）的"DNSSEC Bogus"信息码
+  static EDE_BOGUS = 6;
+
+  // 包含域名的记录类型，计算签名时需转换为小写（RFC 4034 6.2）
+  static NAME_TYPES = [TYPES.NS, TYPES.CNAME, TYPES.PTR, TYPES.DNAME, TYPES.MX, TYPES.SRV, TYPES.SOA];
+
+  /**
+   * 构造函数
+   * @param {object} config - 配置对象
+   * @param {function(Uint8Array): Promise<Uint8Array>} resolve - 向上游查询的函数（用于获取DS和DNSKEY）
+   */
+  constructor(config, resolve) {
+    this.enabled = config.DNSSEC_VALIDATION === true || String(config.DNSSEC_VALIDATION).toLowerCase() === 'true';
+    const anchors = ConfigManager.getListValue(config, 'DNSSEC_TRUST_ANCHORS');
+    this.anchors = (anchors.length ? anchors : DnssecValidator.ROOT_TRUST_ANCHORS).map((anchor) => DnssecValidator.parseTrustAnchor(anchor));
+    this.resolve = resolve;
+    // 已验证的区域：域名 -> Promise<{zone, keys}|null>，null表示不安全
+    this.zones = new Map();
+    this.log = config.DEBUG_MODE
+      ? (message, data = "") => console.log(`[DEBUG] ${message}`, data)
+      : () => {};
+  }
+
+  /**
+   * 处理发往上游的查询：设置DO位请求签名，设置CD位获取未经上游验证的数据
+   * 客户端自己设置了CD位时表示由客户端验证，不做处理
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {Uint8Array} 处理后的查询报文
+   */
+  prepareQuery(query) {
+    if (!this.enabled) return query;
+    const message = DnsMessage.parse(query);
+    if (message.cd) return query;
+    const edns = { ...(message.edns || { udpSize: 1232, options: [] }), dnssecOk: true };
+    // 只替换OPT记录并设置CD位，问题部分按原始字节发送
+    const prepared = DnsMessage.replaceEdns(query, edns);
+    if (!prepared) return DnsMessage.encode({ ...message, cd: true, edns });
+    prepared[3] |= 0x10;
+    return prepared;
+  }
+
+  /**
+   * 验证上游响应
+   * @param {Uint8Array} answer - 上游的DNS响应报文
+   * @param {Uint8Array} query - 客户端的DNS查询报文
+   * @returns {Promise<Uint8Array>} 验证后的响应：原始报文仅修改AD和CD位，bogus时为SERVFAIL
+   */
+  async validate(answer, query) {
+    if (!this.enabled) return answer;
+    const request = DnsMessage.parse(query);
+    if (request.cd || request.questions.length !== 1) return answer;
+
+    const message = DnsMessage.parse(answer);
+    let status;
+    try {
+      status = await this.validateMessage(message, request.questions[0]);
+    } catch (error) {
+      this.log("DNSSEC validation failed", error.message);
+      status = 'bogus';
+    }
+    this.log(`DNSSEC status: ${status}`, request.questions[0].name);
+
+    if (status === 'bogus') {
+      return DnsMessage.encode({
+        id: request.id,
+        qr: true,
+        rd: request.rd,
+        ra: true,
+        rcode: DnsMessage.RCODES.SERVFAIL,
+        questions: request.questions,
+        edns: request.edns ? {
+          udpSize: 1232,
+          dnssecOk: request.edns.dnssecOk,
+          options: [{ code: DnsMessage.EDNS_OPTIONS.EDE, data: new Uint8Array([0, DnssecValidator.EDE_BOGUS]) }],
+        } : null,
+      });
+    }
+
+    message.ad = status === 'secure';
+    message.cd = false;
+    // 客户端没有请求DNSSEC记录时移除签名和否定证明，只有这种情况需要重新序列化报文
+    if (!request.edns?.dnssecOk) {
+      const qtype = request.questions[0].type;
+      const keep = (record) => record.type === qtype || ![TYPES.RRSIG, TYPES.NSEC, TYPES.NSEC3].includes(record.type);
+      const sections = ['answers', 'authorities', 'additionals'];
+      if (sections.some((section) => !message[section].every(keep))) {
+        for (const section of sections) {
+          message[section] = message[section].filter(keep);
+        }
+        return DnsMessage.encode(message);
+      }
+    }
+    const result = answer.slice();
+    result[3] = (result[3] & ~0x30) | (message.ad ? 0x20 : 0);
+    return result;
+  }
+
+  /**
+   * 验证响应中的所有RRset以及否定证明
+   * @param {object} message - 解析后的响应
+   * @param {object} question - 客户端的问题
+   * @returns {Promise<string>} 'secure' 或 'insecure'，bogus时抛出异常
+   */
+  async validateMessage(message, question) {
+    const { NOERROR, NXDOMAIN } = DnsMessage.RCODES;
+    if (message.rcode !== NOERROR && message.rcode !== NXDOMAIN) return 'insecure';
+
+    const statuses = [];
+    const rrsets = DnssecValidator.groupRRsets(message.answers);
+    for (const rrset of rrsets) {
+      // 由签名的DNAME合成的CNAME没有签名（RFC 6672）
+      if (rrset.type === TYPES.CNAME && !rrset.signatures.length &&
+        rrsets.some((other) => other.type === TYPES.DNAME && DnssecValidator.isSubdomain(rrset.name, other.name))) {
+        continue;
+      }
+      statuses.push(await this.validateRRset(rrset, message.authorities));
+    }
+
+    // 沿CNAME链找到最终名称，没有该名称的所需类型记录时为否定应答
+    let name = question.name;
+    for (let i = 0; i < 16; i++) {
+      const cname = message.answers.find((r) => r.type === TYPES.CNAME && DnssecValidator.nameEquals(r.name, name));
+      if (!cname || question.type === TYPES.CNAME) break;
+      name = cname.data;
+    }
+    const answered = question.type === TYPES.ANY ||
+      message.answers.some((r) => r.type === question.type && DnssecValidator.nameEquals(r.name, name));
+    if (!answered) {
+      statuses.push(await this.validateDenial(message, name, question.type));
+    }
+    return statuses.includes('insecure') ? 'insecure' : 'secure';
+  }
+
+  /**
+   * 验证应答部分的单个RRset
+   * @param {object} rrset - {name, type, records, signatures}
+   * @param {Array<object>} authorities - 授权部分记录（通配符展开时需要其中的NSEC/NSEC3）
+   * @returns {Promise<string>} 'secure' 或 'insecure'
+   */
+  async validateRRset(rrset, authorities) {
+    if (!rrset.signatures.length) {
+      // 没有签名的数据只在不安全区域内有效
+      if (await this.getZone(rrset.name)) {
+        throw new Error(`Missing RRSIG for ${rrset.name}/${DnsMessage.typeName(rrset.type)}`);
+      }
+      return 'insecure';
+    }
+
+    const { signer } = DnssecValidator.parseRrsig(rrset.signatures[0].rdata);
+    const state = await this.getSignerZone(signer, rrset.name);
+    if (!state) return 'insecure';
+    const signature = await this.verifyRRset(rrset, state);
+
+    // 通配符展开的应答需要证明查询名称本身不存在
+    const labels = DnssecValidator.labelCount(rrset.name);
+    if (signature.labels < labels) {
+      const closestEncloser = signature.labels ? DnssecValidator.splitLabels(rrset.name).slice(-signature.labels).join('.') : '';
+      const proof = await this.verifyProof(authorities, state);
+      if (proof.nsec.length) {
+        if (!proof.nsec.some((nsec) => DnssecValidator.nsecCovers(nsec, rrset.name))) {
+          throw new Error(`Missing wildcard proof for ${rrset.name}`);
+        }
+      } else {
+        const nextCloser = DnssecValidator.nextCloser(rrset.name, closestEncloser);
+        const covering = await this.findNsec3(proof.nsec3, nextCloser, state.zone, 'cover');
+        if (!covering) {
+          throw new Error(`Missing wildcard proof for ${rrset.name}`);
+        }
+      }
+    }
+    return 'secure';
+  }
+
+  /**
+   * 验证否定应答（NXDOMAIN或NODATA）
+   * @param {object} message - 解析后的响应
+   * @param {string} name - 被否定的名称
+   * @param {number} type - 查询类型
+   * @returns {Promise<string>} 'secure' 或 'insecure'
+   */
+  async validateDenial(message, name, type) {
+    const signatures = message.authorities.filter((r) => r.type === TYPES.RRSIG);
+    if (!signatures.length) {
+      if (await this.getZone(name)) {
+        throw new Error(`Missing denial of existence proof for ${name}`);
+      }
+      return 'insecure';
+    }
+
+    const signer = DnssecValidator.parseRrsig(signatures[0].rdata).signer;
+    const state = await this.getSignerZone(signer, name);
+    if (!state) return 'insecure';
+    const proof = await this.verifyProof(message.authorities, state);
+    const nxdomain = message.rcode === DnsMessage.RCODES.NXDOMAIN;
+
+    if (proof.nsec.length) {
+      return this.checkNsecDenial(proof.nsec, name, type, nxdomain);
+    }
+    if (proof.nsec3.length) {
+      return await this.checkNsec3Denial(proof.nsec3, name, type, nxdomain, state.zone);
+    }
+    throw new Error(`Missing denial of existence proof for ${name}`);
+  }
+
+  /**
+   * 使用NSEC检查否定证明
+   * @param {Array<object>} nsecs - 已验证签名的NSEC记录
+   * @param {string} name - 被否定的名称
+   * @param {number} type - 查询类型
+   * @param {boolean} nxdomain - 是否为NXDOMAIN
+   * @returns {string} 'secure'，证明不成立时抛出异常
+   */
+  checkNsecDenial(nsecs, name, type, nxdomain) {
+    const lacks = (nsec) => !nsec.types.has(type) && !nsec.types.has(TYPES.CNAME);
+    const match = nsecs.find((nsec) => DnssecValidator.nameEquals(nsec.owner, name));
+    if (!nxdomain && match) {
+      // 父区域委派点的NSEC不能用于否定子区域的数据（DS除外）
+      if (type !== TYPES.DS && match.types.has(TYPES.NS) && !match.types.has(TYPES.SOA)) {
+        throw new Error(`NSEC for ${name} is from the parent zone`);
+      }
+      if (lacks(match)) return 'secure';
+      throw new Error(`NSEC for ${name} lists the queried type`);
+    }
+
+    const cover = nsecs.find((nsec) => DnssecValidator.nsecCovers(nsec, name));
+    if (!cover) {
+      throw new Error(`No NSEC covers ${name}`);
+    }
+    // 空的非终端节点：覆盖的NSEC的下一个名称是查询名称的子域名
+    if (!nxdomain && DnssecValidator.isSubdomain(cover.next, name)) return 'secure';
+
+    const closestEncloser = [cover.owner, cover.next]
+      .map((other) => DnssecValidator.commonAncestor(name, other))
+      .reduce((a, b) => (DnssecValidator.labelCount(a) >= DnssecValidator.labelCount(b) ? a : b));
+    const wildcard = closestEncloser ? `*.${closestEncloser}` : '*';
+    if (nxdomain) {
+      if (nsecs.some((nsec) => DnssecValidator.nsecCovers(nsec, wildcard))) return 'secure';
+      throw new Error(`No NSEC denies wildcard ${wildcard}`);
+    }
+    const wildcardMatch = nsecs.find((nsec) => DnssecValidator.nameEquals(nsec.owner, wildcard));
+    if (wildcardMatch && lacks(wildcardMatch)) return 'secure';
+    throw new Error(`Invalid NSEC NODATA proof for ${name}`);
+  }
+
+  /**
+   * 使用NSEC3检查否定证明
+   * @param {Array<object>} nsec3s - 已验证签名的NSEC3记录
+   * @param {string} name - 被否定的名称
+   * @param {number} type - 查询类型
+   * @param {boolean} nxdomain - 是否为NXDOMAIN
+   * @param {string} zone - 区域
+   * @returns {Promise<string>} 'secure' 或 'insecure'，证明不成立时抛出异常
+   */
+  async checkNsec3Denial(nsec3s, name, type, nxdomain, zone) {
+    if (nsec3s.every((nsec3) => nsec3.iterations > DnssecValidator.MAX_NSEC3_ITERATIONS || nsec3.algorithm !== 1)) {
+      return 'insecure';
+    }
+    const lacks = (nsec3) => !nsec3.types.has(type) && !nsec3.types.has(TYPES.CNAME);
+
+    if (!nxdomain) {
+      const match = await this.findNsec3(nsec3s, name, zone, 'match');
+      if (match) {
+        if (type !== TYPES.DS && match.types.has(TYPES.NS) && !match.types.has(TYPES.SOA)) {
+          throw new Error(`NSEC3 for ${name} is from the parent zone`);
+        }
+        if (lacks(match)) return 'secure';
+        throw new Error(`NSEC3 for ${name} lists the queried type`);
+      }
+    }
+
+    const proof = await this.closestEncloserProof(nsec3s, name, zone);
+    if (!proof) {
+      throw new Error(`No NSEC3 closest encloser proof for ${name}`);
+    }
+    // opt-out范围内可能存在未签名的委派（RFC 5155 6）
+    if (proof.covering.optOut && (nxdomain || type === TYPES.DS)) return 'insecure';
+
+    const wildcard = proof.closestEncloser ? `*.${proof.closestEncloser}` : '*';
+    if (nxdomain) {
+      if (await this.findNsec3(nsec3s, wildcard, zone, 'cover')) return 'secure';
+      throw new Error(`No NSEC3 denies wildcard ${wildcard}`);
+    }
+    const wildcardMatch = await this.findNsec3(nsec3s, wildcard, zone, 'match');
+    if (wildcardMatch && lacks(wildcardMatch)) return 'secure';
+    throw new Error(`Invalid NSEC3 NODATA proof for ${name}`);
+  }
+
+  /**
+   * NSEC3最近祖先证明（RFC 5155 8.3）
+   * @param {Array<object>} nsec3s - NSEC3记录
+   * @param {string} name - 被否定的名称
+   * @param {string} zone - 区域
+   * @returns {Promise<object|null>} {closestEncloser, covering: 覆盖下一个更近名称的NSEC3}，证明不成立时返回null
+   */
+  async closestEncloserProof(nsec3s, name, zone) {
+    let child = name;
+    for (let ancestor = DnssecValidator.parentName(name); DnssecValidator.isSubdomain(ancestor, zone); ancestor = DnssecValidator.parentName(ancestor)) {
+      const match = await this.findNsec3(nsec3s, ancestor, zone, 'match');
+      if (match) {
+        // 委派点和DNAME不能作为最近祖先
+        if ((match.types.has(TYPES.NS) && !match.types.has(TYPES.SOA)) || match.types.has(TYPES.DNAME)) return null;
+        const covering = await this.findNsec3(nsec3s, child, zone, 'cover');
+        return covering ? { closestEncloser: ancestor, covering } : null;
+      }
+      if (DnssecValidator.nameEquals(ancestor, zone)) break;
+      child = ancestor;
+    }
+    return null;
+  }
+
+  /**
+   * 查找匹配或覆盖名称哈希的NSEC3记录
+   * @param {Array<object>} nsec3s - NSEC3记录
+   * @param {string} name - 名称
+   * @param {string} zone - 区域
+   * @param {string} mode - 'match' 或 'cover'
+   * @returns {Promise<object|null>} NSEC3记录
+   */
+  async findNsec3(nsec3s, name, zone, mode) {
+    for (const nsec3 of nsec3s) {
+      if (nsec3.algorithm !== 1 || nsec3.iterations > DnssecValidator.MAX_NSEC3_ITERATIONS) continue;
+      if (!DnssecValidator.nameEquals(DnssecValidator.parentName(nsec3.owner), zone)) continue;
+      const hash = await DnssecValidator.nsec3Hash(name, nsec3.salt, nsec3.iterations);
+      const owner = DnssecValidator.splitLabels(nsec3.owner)[0].toLowerCase();
+      if (mode === 'match' ? owner === hash : DnssecValidator.hashCovers(owner, nsec3.next, hash)) {
+        return nsec3;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 验证授权部分的NSEC/NSEC3 RRset签名
+   * @param {Array<object>} authorities - 授权部分记录
+   * @param {object} state - 区域状态 {zone, keys}
+   * @returns {Promise<object>} {nsec: 已验证的NSEC, nsec3: 已验证的NSEC3}
+   */
+  async verifyProof(authorities, state) {
+    const proof = { nsec: [], nsec3: [] };
+    for (const rrset of DnssecValidator.groupRRsets(authorities)) {
+      if (rrset.type !== TYPES.NSEC && rrset.type !== TYPES.NSEC3 && rrset.type !== TYPES.SOA) continue;
+      await this.verifyRRset(rrset, state);
+      for (const record of rrset.records) {
+        if (record.type === TYPES.NSEC) proof.nsec.push({ owner: record.name, ...DnssecValidator.parseNsec(record.rdata) });
+        if (record.type === TYPES.NSEC3) proof.nsec3.push({ owner: record.name, ...DnssecValidator.parseNsec3(record.rdata) });
+      }
+    }
+    return proof;
+  }
+
+  /**
+   * 获取签名者区域的状态，签名者必须是名称本身或其祖先，并且必须是实际的区域顶点
+   * @param {string} signer - 签名者名称
+   * @param {string} name - 被签名的名称
+   * @returns {Promise<object|null>} 区域状态 {zone, keys}，不安全时返回null
+   */
+  async getSignerZone(signer, name) {
+    if (!DnssecValidator.isSubdomain(name, signer)) {
+      throw new Error(`Signer ${signer} is not an ancestor of ${name}`);
+    }
+    const state = await this.getZone(signer);
+    if (state && !DnssecValidator.nameEquals(state.zone, signer)) {
+      throw new Error(`Signer ${signer} is not a secure zone`);
+    }
+    return state;
+  }
+
+  /**
+   * 从根区域开始逐级验证，获取包含该名称的最近的安全区域
+   * @param {string} name - 域名
+   * @returns {Promise<object|null>} {zone, keys}，名称位于不安全区域时返回null
+   */
+  getZone(name) {
+    const key = name.toLowerCase();
+    if (!this.zones.has(key)) {
+      this.zones.set(key, (async () => {
+        if (key === '') {
+          const keys = await this.loadKeys('', this.anchors);
+          return keys ? { zone: '', keys } : null;
+        }
+        const parent = await this.getZone(DnssecValidator.parentName(key));
+        return parent ? await this.descend(parent, key) : null;
+      })());
+    }
+    return this.zones.get(key);
+  }
+
+  /**
+   * 从父级安全区域向下验证一级名称
+   * @param {object} state - 父级区域状态 {zone, keys}
+   * @param {string} name - 子名称
+   * @returns {Promise<object|null>} 子名称所在区域的状态，不安全时返回null
+   */
+  async descend(state, name) {
+    const response = DnsMessage.parse(await this.query(name, TYPES.DS));
+    const rrsets = DnssecValidator.groupRRsets(response.answers);
+
+    const ds = rrsets.find((rrset) => rrset.type === TYPES.DS && DnssecValidator.nameEquals(rrset.name, name));
+    if (ds) {
+      // DS由父区域签名，再用DS验证子区域的DNSKEY
+      await this.verifyRRset(ds, state);
+      const keys = await this.loadKeys(name, ds.records.map((record) => DnssecValidator.parseDs(record.rdata)));
+      return keys ? { zone: name, keys } : null;
+    }
+
+    // 名称有CNAME时不可能是委派点
+    const cname = rrsets.find((rrset) => rrset.type === TYPES.CNAME && DnssecValidator.nameEquals(rrset.name, name));
+    if (cname) {
+      await this.verifyRRset(cname, state);
+      return state;
+    }
+
+    const proof = await this.verifyProof(response.authorities, state);
+    if (proof.nsec.length) {
+      const match = proof.nsec.find((nsec) => DnssecValidator.nameEquals(nsec.owner, name));
+      if (match) {
+        if (match.types.has(TYPES.DS)) throw new Error(`NSEC for ${name} lists DS`);
+        return match.types.has(TYPES.NS) && !match.types.has(TYPES.SOA) ? null : state;
+      }
+      if (proof.nsec.some((nsec) => DnssecValidator.nsecCovers(nsec, name))) return state;
+    }
+    if (proof.nsec3.length) {
+      if (proof.nsec3.every((nsec3) => nsec3.iterations > DnssecValidator.MAX_NSEC3_ITERATIONS || nsec3.algorithm !== 1)) {
+        return null;
+      }
+      const match = await this.findNsec3(proof.nsec3, name, state.zone, 'match');
+      if (match) {
+        if (match.types.has(TYPES.DS)) throw new Error(`NSEC3 for ${name} lists DS`);
+        return match.types.has(TYPES.NS) && !match.types.has(TYPES.SOA) ? null : state;
+      }
+      const covering = await this.findNsec3(proof.nsec3, name, state.zone, 'cover');
+      if (covering) return covering.optOut ? null : state;
+    }
+    throw new Error(`Missing DS denial of existence proof for ${name}`);
+  }
+
+  /**
+   * 获取区域的DNSKEY，并用DS验证
+   * @param {string} zone - 区域
+   * @param {Array<object>} dsRecords - 已验证的DS记录（或信任锚）
+   * @returns {Promise<Array<object>|null>} 区域密钥，DS都使用不支持的算法时返回null（视为不安全）
+   */
+  async loadKeys(zone, dsRecords) {
+    const supported = dsRecords.filter((ds) => DnssecValidator.DIGESTS[ds.digestType] && DnssecValidator.ALGORITHMS[ds.algorithm]);
+    if (!supported.length) return null;
+
+    const response = DnsMessage.parse(await this.query(zone, TYPES.DNSKEY));
+    const rrset = DnssecValidator.groupRRsets(response.answers)
+      .find((set) => set.type === TYPES.DNSKEY && DnssecValidator.nameEquals(set.name, zone));
+    if (!rrset) {
+      throw new Error(`Missing DNSKEY for ${zone || '.'}`);
+    }
+    const keys = rrset.records.map((record) => DnssecValidator.parseDnskey(record.rdata))
+      .filter((key) => key.protocol === 3 && (key.flags & 0x0100));
+
+    // 由DS确认的密钥签名的DNSKEY RRset确立整个密钥集的可信性
+    for (const ds of supported) {
+      for (const key of keys.filter((k) => k.keyTag === ds.keyTag && k.algorithm === ds.algorithm)) {
+        if (!(await DnssecValidator.digestMatches(zone, key, ds))) continue;
+        try {
+          await this.verifyRRset(rrset, { zone, keys: [key] });
+          return keys;
+        } catch (error) {
+          // 尝试下一个密钥
+        }
+      }
+    }
+    throw new Error(`DNSKEY of ${zone || '.'} does not match DS`);
+  }
+
+  /**
+   * 用区域密钥验证RRset的签名
+   * @param {object} rrset - {name, type, records, signatures}
+   * @param {object} state - 区域状态 {zone, keys}
+   * @returns {Promise<object>} 验证通过的签名，没有有效签名时抛出异常
+   */
+  async verifyRRset(rrset, state) {
+    for (const record of rrset.signatures) {
+      const signature = DnssecValidator.parseRrsig(record.rdata);
+      if (!DnssecValidator.nameEquals(signature.signer, state.zone) || signature.typeCovered !== rrset.type) continue;
+      // DS由父区域签名，签名者不能是DS所有者本身
+      if (rrset.type === TYPES.DS && DnssecValidator.nameEquals(signature.signer, rrset.name)) continue;
+      if (!DnssecValidator.isCurrent(signature)) continue;
+      for (const key of state.keys) {
+        if (key.keyTag !== signature.keyTag || key.algorithm !== signature.algorithm) continue;
+        if (await DnssecValidator.verifySignature(rrset, signature, key)) return signature;
+      }
+    }
+    throw new Error(`No valid RRSIG for ${rrset.name || '.'}/${DnsMessage.typeName(rrset.type)}`);
+  }
+
+  /**
+   * 查询DNSSEC相关记录
+   * @param {string} name - 域名
+   * @param {number} type - 记录类型
+   * @returns {Promise<Uint8Array>} DNS响应报文
+   */
+  async query(name, type) {
+    const answer = await this.resolve(DnsMessage.buildQuery({ name, type, checkingDisabled: true, dnssecOk: true }));
+    const { rcode } = DnsMessage.parse(answer);
+    if (rcode !== DnsMessage.RCODES.NOERROR && rcode !== DnsMessage.RCODES.NXDOMAIN) {
+      throw new Error(`Query for ${name || '.'}/${DnsMessage.typeName(type)} returned rcode ${rcode}`);
+    }
+    return answer;
+  }
+
+  /**
+   * 验证签名
+   * @param {object} rrset - {name, type, records}
+   * @param {object} signature - 解析后的RRSIG
+   * @param {object} key - 解析后的DNSKEY
+   * @returns {Promise<boolean>} 签名是否有效
+   */
+  static async verifySignature(rrset, signature, key) {
+    const algorithm = this.ALGORITHMS[key.algorithm];
+    if (!algorithm) return false;
+
+    // 通配符展开的记录使用通配符名称计算签名（RFC 4035 5.3.2）
+    const labels = this.splitLabels(rrset.name);
+    if (labels[0] === '*') labels.shift();
+    if (signature.labels > labels.length) return false;
+    const owner = signature.labels < labels.length
+      ? ['*', ...labels.slice(labels.length - signature.labels)].join('.')
+      : labels.join('.');
+    const ownerWire = this.canonicalName(owner);
+
+    // 记录按规范形式的rdata排序并去重
+    const rdatas = [...new Map(rrset.records.map((record) => {
+      const rdata = this.canonicalRdata(record);
+      return [Array.from(rdata).join(','), rdata];
+    })).values()].sort(this.compareBytes);
+
+    const parts = [signature.header, this.canonicalName(signature.signer)];
+    for (const rdata of rdatas) {
+      const fixed = new Uint8Array(10);
+      const view = new DataView(fixed.buffer);
+      view.setUint16(0, rrset.type);
+      view.setUint16(2, rrset.records[0].class);
+      view.setUint32(4, signature.originalTtl);
+      view.setUint16(8, rdata.length);
+      parts.push(ownerWire, fixed, rdata);
+    }
+    const data = concat(...parts);
+
+    try {
+      const cryptoKey = await this.importKey(key, algorithm);
+      const params = algorithm.name === 'ECDSA' ? { name: 'ECDSA', hash: algorithm.hash } : { name: algorithm.name };
+      return await crypto.subtle.verify(params, cryptoKey, signature.signature, data);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 将DNSKEY的公钥导入为WebCrypto密钥
+   * @param {object} key - 解析后的DNSKEY
+   * @param {object} algorithm - 算法参数
+   * @returns {Promise<CryptoKey>} 公钥
+   */
+  static async importKey(key, algorithm) {
+    const { publicKey } = key;
+    if (algorithm.name === 'RSASSA-PKCS1-v1_5') {
+      // RFC 3110：指数长度（1或3字节）、指数、模数
+      let exponentLength = publicKey[0];
+      let offset = 1;
+      if (exponentLength === 0) {
+        exponentLength = (publicKey[1] << 8) | publicKey[2];
+        offset = 3;
+      }
+      const exponent = publicKey.subarray(offset, offset + exponentLength);
+      let modulus = publicKey.subarray(offset + exponentLength);
+      while (modulus.length > 1 && modulus[0] === 0) modulus = modulus.subarray(1);
+      const jwk = { kty: 'RSA', e: base64Url(exponent), n: base64Url(modulus), ext: true };
+      return await crypto.subtle.importKey('jwk', jwk, { name: algorithm.name, hash: algorithm.hash }, false, ['verify']);
+    }
+    if (algorithm.name === 'ECDSA') {
+      return await crypto.subtle.importKey('raw', concat(new Uint8Array([4]), publicKey),
+        { name: 'ECDSA', namedCurve: algorithm.namedCurve }, false, ['verify']);
+    }
+    return await crypto.subtle.importKey('raw', publicKey, { name: algorithm.name }, false, ['verify']);
+  }
+
+  /**
+   * 检查DNSKEY是否与DS摘要匹配
+   * @param {string} zone - 区域
+   * @param {object} key - 解析后的DNSKEY
+   * @param {object} ds - 解析后的DS
+   * @returns {Promise<boolean>} 是否匹配
+   */
+  static async digestMatches(zone, key, ds) {
+    const digest = new Uint8Array(await crypto.subtle.digest(
+      this.DIGESTS[ds.digestType], concat(this.canonicalName(zone), key.rdata)
+    ));
+    return this.compareBytes(digest, ds.digest) === 0;
+  }
+
+  /**
+   * 计算域名的规范形式（RFC 4034 6.2）：不压缩的线路格式，只将ASCII大写字母转为小写
+   * @param {string} name - 主文件格式的域名
+   * @returns {Uint8Array} 规范形式的域名
+   */
+  static canonicalName(name) {
+    return DnsMessage.lowerAscii(DnsMessage.encodeName(name));
+  }
+
+  /**
+   * 计算记录的规范形式rdata：域名小写且不压缩
+   * @param {object} record - 记录
+   * @returns {Uint8Array} 规范形式的rdata
+   */
+  static canonicalRdata(record) {
+    if (!this.NAME_TYPES.includes(record.type)) return record.rdata;
+    const name = (value) => this.canonicalName(value);
+    const { data } = record;
+    switch (record.type) {
+      case TYPES.MX:
+        return concat(record.rdata.subarray(0, 2), name(data.exchange));
+      case TYPES.SRV:
+        return concat(record.rdata.subarray(0, 6), name(data.target));
+      case TYPES.SOA:
+        return concat(name(data.mname), name(data.rname), record.rdata.subarray(record.rdata.length - 20));
+      default:
+        return name(data);
+    }
+  }
+
+  /**
+   * 检查签名是否在有效期内（按RFC 1982序列号算术比较）
+   * @param {object} signature - 解析后的RRSIG
+   * @returns {boolean} 是否有效
+   */
+  static isCurrent(signature) {
+    const now = Math.floor(Date.now() / 1000) >>> 0;
+    const notBefore = ((now - signature.inception) >>> 0) < 0x80000000;
+    const notAfter = ((signature.expiration - now) >>> 0) < 0x80000000;
+    return notBefore && notAfter;
+  }
+
+  /**
+   * 计算NSEC3哈希（RFC 5155 5），返回base32hex编码的小写字符串
+   * @param {string} name - 域名
+   * @param {Uint8Array} salt - 盐
+   * @param {number} iterations - 额外迭代次数
+   * @returns {Promise<string>} 哈希
+   */
+  static async nsec3Hash(name, salt, iterations) {
+    let hash = new Uint8Array(await crypto.subtle.digest('SHA-1', concat(this.canonicalName(name), salt)));
+    for (let i = 0; i < iterations; i++) {
+      hash = new Uint8Array(await crypto.subtle.digest('SHA-1', concat(hash, salt)));
+    }
+    return this.base32Hex(hash);
+  }
+
+  /**
+   * base32hex编码（不填充，小写）
+   * @param {Uint8Array} bytes - 字节
+   * @returns {string} 编码结果
+   */
+  static base32Hex(bytes) {
+    const alphabet = '0123456789abcdefghijklmnopqrstuv';
+    let result = '';
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+      buffer = (buffer << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        result += alphabet[(buffer >> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) result += alphabet[(buffer << (5 - bits)) & 31];
+    return result;
+  }
+
+  /**
+   * 解析信任锚，格式为DS记录的文本形式，例如 ". 20326 8 2 E06D..."（可包含 IN DS）
+   * @param {string} text - 信任锚
+   * @returns {object} 解析后的DS
+   */
+  static parseTrustAnchor(text) {
+    const fields = text.trim().split(/\s+/).filter((field) => !/^(IN|DS)$/i.test(field));
+    if (fields.length < 5 || !/^[0-9a-f]+$/i.test(fields.slice(4).join(''))) {
+      throw new Error(`Invalid DNSSEC trust anchor: ${text}`);
+    }
+    const digest = fields.slice(4).join('');
+    return {
+      owner: fields[0].replace(/\.$/, ''),
+      keyTag: Number(fields[1]),
+      algorithm: Number(fields[2]),
+      digestType: Number(fields[3]),
+      digest: Uint8Array.from(digest.match(/../g), (byte) => parseInt(byte, 16)),
+    };
+  }
+
+  /**
+   * 解析DNSKEY记录数据
+   * @param {Uint8Array} rdata - 记录数据
+   * @returns {object} {flags, protocol, algorithm, publicKey, keyTag, rdata}
+   */
+  static parseDnskey(rdata) {
+    return {
+      flags: (rdata[0] << 8) | rdata[1],
+      protocol: rdata[2],
+      algorithm: rdata[3],
+      publicKey: rdata.subarray(4),
+      keyTag: this.keyTag(rdata),
+      rdata,
+    };
+  }
+
+  /**
+   * 计算密钥标签（RFC 4034 附录B）
+   * @param {Uint8Array} rdata - DNSKEY记录数据
+   * @returns {number} 密钥标签
+   */
+  static keyTag(rdata) {
+    let sum = 0;
+    for (let i = 0; i < rdata.length; i++) {
+      sum += i & 1 ? rdata[i] : rdata[i] << 8;
+    }
+    sum += (sum >> 16) & 0xffff;
+    return sum & 0xffff;
+  }
+
+  /**
+   * 解析DS记录数据
+   * @param {Uint8Array} rdata - 记录数据
+   * @returns {object} {keyTag, algorithm, digestType, digest}
+   */
+  static parseDs(rdata) {
+    return {
+      keyTag: (rdata[0] << 8) | rdata[1],
+      algorithm: rdata[2],
+      digestType: rdata[3],
+      digest: rdata.subarray(4),
+    };
+  }
+
+  /**
+   * 解析RRSIG记录数据
+   * @param {Uint8Array} rdata - 记录数据
+   * @returns {object} 解析结果，header为签名者名称之前的18字节
+   */
+  static parseRrsig(rdata) {
+    const view = new DataView(rdata.buffer, rdata.byteOffset, rdata.byteLength);
+    const { name, offset } = DnsMessage.readName(rdata, 18);
+    return {
+      typeCovered: view.getUint16(0),
+      algorithm: rdata[2],
+      labels: rdata[3],
+      originalTtl: view.getUint32(4),
+      expiration: view.getUint32(8),
+      inception: view.getUint32(12),
+      keyTag: view.getUint16(16),
+      signer: name,
+      signature: rdata.subarray(offset),
+      header: rdata.subarray(0, 18),
+    };
+  }
+
+  /**
+   * 解析NSEC记录数据
+   * @param {Uint8Array} rdata - 记录数据
+   * @returns {object} {next, types}
+   */
+  static parseNsec(rdata) {
+    const { name, offset } = DnsMessage.readName(rdata, 0);
+    return { next: name, types: this.parseTypeBitmap(rdata.subarray(offset)) };
+  }
+
+  /**
+   * 解析NSEC3记录数据
+   * @param {Uint8Array} rdata - 记录数据
+   * @returns {object} {algorithm, optOut, iterations, salt, next, types}
+   */
+  static parseNsec3(rdata) {
+    const saltLength = rdata[4];
+    const hashLength = rdata[5 + saltLength];
+    const hashOffset = 6 + saltLength;
+    return {
+      algorithm: rdata[0],
+      optOut: !!(rdata[1] & 0x01),
+      iterations: (rdata[2] << 8) | rdata[3],
+      salt: rdata.subarray(5, 5 + saltLength),
+      next: this.base32Hex(rdata.subarray(hashOffset, hashOffset + hashLength)),
+      types: this.parseTypeBitmap(rdata.subarray(hashOffset + hashLength)),
+    };
+  }
+
+  /**
+   * 解析类型位图
+   * @param {Uint8Array} bytes - 位图数据
+   * @returns {Set<number>} 类型集合
+   */
+  static parseTypeBitmap(bytes) {
+    const types = new Set();
+    for (let offset = 0; offset + 2 <= bytes.length; ) {
+      const window = bytes[offset];
+      const length = bytes[offset + 1];
+      for (let i = 0; i < length && offset + 2 + i < bytes.length; i++) {
+        for (let bit = 0; bit < 8; bit++) {
+          if (bytes[offset + 2 + i] & (0x80 >> bit)) types.add(window * 256 + i * 8 + bit);
+        }
+      }
+      offset += 2 + length;
+    }
+    return types;
+  }
+
+  /**
+   * 将记录按名称、类型分组为RRset，并附上覆盖该RRset的RRSIG
+   * @param {Array<object>} records - 记录
+   * @returns {Array<object>} {name, type, records, signatures}
+   */
+  static groupRRsets(records) {
+    const rrsets = new Map();
+    for (const record of records) {
+      if (record.type === TYPES.RRSIG) continue;
+      const key = `${record.name.toLowerCase()}/${record.type}`;
+      if (!rrsets.has(key)) {
+        rrsets.set(key, { name: record.name, type: record.type, records: [], signatures: [] });
+      }
+      rrsets.get(key).records.push(record);
+    }
+    for (const record of records) {
+      if (record.type !== TYPES.RRSIG || record.rdata.length < 18) continue;
+      const typeCovered = (record.rdata[0] << 8) | record.rdata[1];
+      rrsets.get(`${record.name.toLowerCase()}/${typeCovered}`)?.signatures.push(record);
+    }
+    return [...rrsets.values()];
+  }
+
+  /**
+   * 检查NSEC是否覆盖名称（名称位于NSEC所有者和下一个名称之间）
+   * @param {object} nsec - {owner, next}
+   * @param {string} name - 名称
+   * @returns {boolean} 是否覆盖
+   */
+  static nsecCovers(nsec, name) {
+    // 委派点或DNAME的NSEC不能证明其下的名称不存在
+    if (this.isSubdomain(name, nsec.owner) && !this.nameEquals(name, nsec.owner) &&
+      ((nsec.types.has(TYPES.NS) && !nsec.types.has(TYPES.SOA)) || nsec.types.has(TYPES.DNAME))) {
+      return false;
+    }
+    const afterOwner = this.compareNames(nsec.owner, name) < 0;
+    const beforeNext = this.compareNames(name, nsec.next) < 0;
+    // 区域中最后一个NSEC的下一个名称是区域顶点
+    const last = this.compareNames(nsec.next, nsec.owner) <= 0;
+    return afterOwner && (beforeNext || last);
+  }
+
+  /**
+   * 检查NSEC3哈希范围是否覆盖哈希
+   * @param {string} owner - 所有者哈希
+   * @param {string} next - 下一个哈希
+   * @param {string} hash - 名称哈希
+   * @returns {boolean} 是否覆盖
+   */
+  static hashCovers(owner, next, hash) {
+    if (owner < next) return owner < hash && hash < next;
+    return hash > owner || hash < next;
+  }
+
+  /**
+   * 按规范顺序比较域名（RFC 4034 6.1）：从最右侧的标签开始逐个比较小写形式
+   * @param {string} a - 域名
+   * @param {string} b - 域名
+   * @returns {number} 比较结果
+   */
+  static compareNames(a, b) {
+    const left = DnsMessage.nameLabels(a).map((label) => DnsMessage.lowerAscii(label)).reverse();
+    const right = DnsMessage.nameLabels(b).map((label) => DnsMessage.lowerAscii(label)).reverse();
+    for (let i = 0; i < Math.min(left.length, right.length); i++) {
+      const result = this.compareBytes(left[i], right[i]);
+      if (result !== 0) return result;
+    }
+    return left.length - right.length;
+  }
+
+  /**
+   * 按字节比较
+   * @param {Uint8Array} a - 字节
+   * @param {Uint8Array} b - 字节
+   * @returns {number} 比较结果
+   */
+  static compareBytes(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  }
+
+  /**
+   * 比较域名是否相同（不区分大小写）
+   * @returns {boolean} 是否相同
+   */
+  static nameEquals(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+
+  /**
+   * 检查name是否为zone本身或其子域名
+   * @param {string} name - 域名
+   * @param {string} zone - 区域
+   * @returns {boolean} 是否属于该区域
+   */
+  static isSubdomain(name, zone) {
+    const n = this.splitLabels(name.toLowerCase());
+    const z = this.splitLabels(zone.toLowerCase());
+    return z.length <= n.length && z.every((label, i) => label === n[n.length - z.length + i]);
+  }
+
+  /**
+   * 获取父域名
+   * @param {string} name - 域名
+   * @returns {string} 父域名，根域名的父域名为根域名
+   */
+  static parentName(name) {
+    return this.splitLabels(name).slice(1).join('.');
+  }
+
+  /**
+   * 计算标签数（不含根标签和开头的通配符标签）
+   * @param {string} name - 域名
+   * @returns {number} 标签数
+   */
+  static labelCount(name) {
+    const labels = this.splitLabels(name);
+    return labels[0] === '*' ? labels.length - 1 : labels.length;
+  }
+
+  /**
+   * 按未转义的点拆分主文件格式的域名，标签保留转义形式
+   * @param {string} name - 域名
+   * @returns {string[]} 标签列表，根域名为空列表
+   */
+  static splitLabels(name) {
+    return name ? name.match(/(?:\\.|[^.\\])+/g) || [] : [];
+  }
+
+  /**
+   * 计算两个域名的最长公共祖先
+   * @param {string} a - 域名
+   * @param {string} b - 域名
+   * @returns {string} 公共祖先
+   */
+  static commonAncestor(a, b) {
+    const left = this.splitLabels(a).map((label) => label.toLowerCase()).reverse();
+    const right = this.splitLabels(b).map((label) => label.toLowerCase()).reverse();
+    const common = [];
+    for (let i = 0; i < Math.min(left.length, right.length) && left[i] === right[i]; i++) {
+      common.push(left[i]);
+    }
+    return common.reverse().join('.');
+  }
+
+  /**
+   * 计算下一个更近的名称：最近祖先之下、通向name的第一个名称
+   * @param {string} name - 域名
+   * @param {string} closestEncloser - 最近祖先
+   * @returns {string} 下一个更近的名称
+   */
+  static nextCloser(name, closestEncloser) {
+    const labels = this.splitLabels(name);
+    return labels.slice(labels.length - this.labelCount(closestEncloser) - 1).join('.');
+  }
+}
+
+/**
+ * 拼接字节数组
+ * @param {...Uint8Array} parts - 字节数组
+ * @returns {Uint8Array} 拼接结果
+ */
+function concat(...parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * base64url编码（不填充）
+ * @param {Uint8Array} bytes - 字节
+ * @returns {string} 编码结果
+ */
+function base64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
\ No newline at end of file
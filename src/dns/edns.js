@@ -0,0 +1,139 @@
+import { DnsMessage } from './message.js';
+import { IPUtils } from '../utils/ip.js';
+
+/**
+ * EDNS处理策略
+ * 负责发往上游的查询中的客户端子网选项（ECS，RFC 7871）和填充选项（RFC 7830 / RFC 8467）
+ * ECS模式：
+ * - strip: 移除客户端携带的ECS选项（默认，避免向上游泄露客户端地址）
+ * - keep: 保留客户端携带的ECS选项
+ * - subnet: 移除客户端的ECS选项，改为携带DNS_ECS_SUBNET配置的子网
+ * - client: 移除客户端的ECS选项，改为携带CF-Connecting-IP截断后的子网
+ */
+export class EdnsPolicy {
+  // 可用的ECS模式
+  static ECS_MODES = ['strip', 'keep', 'subnet', 'client'];
+
+  // 查询和响应的填充块大小（RFC 8467推荐的块填充策略）
+  static QUERY_BLOCK_SIZE = 128;
+  static RESPONSE_BLOCK_SIZE = 468;
+
+  /**
+   * 构造函数
+   * @param {object} config - 配置对象
+   * @param {string|null} clientIp - 客户端IP地址（CF-Connecting-IP），client模式使用
+   */
+  constructor(config, clientIp = null) {
+    this.mode = String(config.DNS_ECS || 'strip').toLowerCase();
+    if (!EdnsPolicy.ECS_MODES.includes(this.mode)) {
+      throw new Error(`Invalid DNS ECS mode: ${config.DNS_ECS}`);
+    }
+    this.padding = config.DNS_PADDING === true || String(config.DNS_PADDING).toLowerCase() === 'true';
+
+    this.subnet = null;
+    if (this.mode === 'subnet') {
+      this.subnet = IPUtils.parseCidr(String(config.DNS_ECS_SUBNET || ''));
+      if (!this.subnet) {
+        throw new Error(`Invalid DNS ECS subnet: ${config.DNS_ECS_SUBNET}`);
+      }
+    } else if (this.mode === 'client' && clientIp) {
+      const bytes = IPUtils.parse(clientIp);
+      if (bytes) {
+        const prefix = bytes.length === 4 ? config.DNS_ECS_IPV4_PREFIX : config.DNS_ECS_IPV6_PREFIX;
+        this.subnet = { bytes, prefixLength: Math.min(Number(prefix) || 0, bytes.length * 8) };
+      }
+    }
+  }
+
+  /**
+   * 处理发往上游的查询
+   * @param {Uint8Array} query - 客户端的DNS查询报文
+   * @returns {Uint8Array} 处理后的查询报文，不需要修改时返回原报文
+   */
+  prepareQuery(query) {
+    const message = DnsMessage.parse(query);
+    const { ECS, PADDING } = DnsMessage.EDNS_OPTIONS;
+    const original = message.edns?.options || [];
+    const options = original.filter((option) =>
+      option.code !== PADDING && (this.mode === 'keep' || option.code !== ECS));
+    if (this.subnet) {
+      options.push({ code: ECS, data: EdnsPolicy.encodeClientSubnet(this.subnet) });
+    }
+    if (!this.padding && options.length === original.length && !this.subnet) {
+      return query;
+    }
+
+    const edns = { ...(message.edns || { udpSize: 1232, dnssecOk: false }), options };
+    const prepared = this.padding
+      ? EdnsPolicy.pad(query, edns, EdnsPolicy.QUERY_BLOCK_SIZE)
+      : DnsMessage.replaceEdns(query, edns);
+    return prepared || query;
+  }
+
+  /**
+   * 处理返回给客户端的响应
+   * 只替换或移除OPT记录，其他记录按原始字节返回
+   * - 客户端查询不带EDNS时，移除上游响应中的OPT记录（RFC 6891）
+   * - 非keep模式下移除响应中的ECS选项，客户端不会看到代理添加的子网
+   * - 客户端查询带填充选项且启用了填充时，按468字节块填充响应
+   * @param {Uint8Array} answer - 上游的DNS响应报文
+   * @param {Uint8Array} query - 客户端的DNS查询报文
+   * @returns {Uint8Array} 处理后的响应报文，不需要修改（或OPT记录不在报文末尾而无法替换）时返回原报文
+   */
+  prepareResponse(answer, query) {
+    const { ECS, PADDING } = DnsMessage.EDNS_OPTIONS;
+    const request = DnsMessage.parse(query);
+    const message = DnsMessage.parse(answer);
+    if (!message.edns) return answer;
+
+    if (!request.edns) {
+      return DnsMessage.replaceEdns(answer, null) || answer;
+    }
+    const options = message.edns.options.filter((option) =>
+      option.code !== PADDING && (this.mode === 'keep' || option.code !== ECS));
+    const padded = this.padding && request.edns.options.some((option) => option.code === PADDING);
+    if (!padded && options.length === message.edns.options.length) {
+      return answer;
+    }
+
+    const edns = { ...message.edns, options };
+    const prepared = padded
+      ? EdnsPolicy.pad(answer, edns, EdnsPolicy.RESPONSE_BLOCK_SIZE)
+      : DnsMessage.replaceEdns(answer, edns);
+    return prepared || answer;
+  }
+
+  /**
+   * 添加填充选项，使报文长度为块大小的整数倍
+   * @param {Uint8Array} bytes - DNS报文
+   * @param {object} edns - 不含填充选项的EDNS信息
+   * @param {number} blockSize - 块大小
+   * @returns {Uint8Array|null} 填充后的报文，无法替换OPT记录时返回null
+   */
+  static pad(bytes, edns, blockSize) {
+    const unpadded = DnsMessage.replaceEdns(bytes, edns);
+    if (!unpadded) return null;
+    // 填充选项本身占4字节头部
+    const length = unpadded.length + 4;
+    const padding = { code: DnsMessage.EDNS_OPTIONS.PADDING, data: new Uint8Array((blockSize - (length % blockSize)) % blockSize) };
+    return DnsMessage.replaceEdns(bytes, { ...edns, options: [...edns.options, padding] });
+  }
+
+  /**
+   * 编码ECS选项数据：地址族、源前缀长度、作用域前缀长度（查询中为0）和按前缀截断的地址
+   * @param {object} subnet - {bytes, prefixLength}
+   * @returns {Uint8Array} 选项数据
+   */
+  static encodeClientSubnet({ bytes, prefixLength }) {
+    const addressLength = Math.ceil(prefixLength / 8);
+    const data = new Uint8Array(4 + addressLength);
+    data[1] = bytes.length === 4 ? 1 : 2;
+    data[2] = prefixLength;
+    data.set(bytes.subarray(0, addressLength), 4);
+    // 前缀之外的位必须为0
+    if (prefixLength % 8) {
+      data[data.length - 1] &= 0xff << (8 - (prefixLength % 8));
+    }
+    return data;
+  }
+}
\ No newline at end of file
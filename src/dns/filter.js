@@ -0,0 +1,342 @@
+import { DnsMessage } from './message.js';
+import { ConfigManager } from '../config.js';
+import { IPUtils } from '../utils/ip.js';
+import { PatternMatcher } from '../utils/pattern.js';
+
+/**
+ * DNS过滤器
+ * 在查询上游之前按问题部分匹配规则，命中的查询直接在本地应答，被拦截的域名不会发送到上游
+ * 规则优先级：
+ * 1. 本地解析（DNS_HOSTS及规则列表中的hosts条目）
+ * 2. CNAME改写（DNS_REWRITES）
+ * 3. 拦截（DNS_BLOCKLIST及规则列表），命中DNS_ALLOWLIST的域名不拦截
+ * 域名规则格式：
+ * - "example.com" 只匹配该域名
+ * - "||example.com^" 匹配该域名及其所有子域名（adblock格式）
+ * - 含 * 或 ? 时按通配符匹配，例如 "ads.*.example.com"
+ */
+export class DnsFilter {
+  // 拦截时的应答方式
+  static BLOCK_RESPONSES = ['nxdomain', 'zero', 'refused'];
+
+  // hosts文件中表示拦截的地址
+  static BLOCK_ADDRESSES = ['0.0.0.0', '127.0.0.1', '::', '::1'];
+
+  // hosts文件中的系统条目，不作为规则
+  static RESERVED_NAMES = ['localhost', 'localhost.localdomain', 'local', 'broadcasthost', 'ip6-localhost', 'ip6-loopback'];
+
+  // 扩展DNS错误（RFC 8914）的"Blocked"信息码
+  static EDE_BLOCKED = 15;
+
+  // 已下载的规则列表，在同一isolate的请求之间共享
+  static lists = new Map();
+
+  /**
+   * 构造函数
+   * @param {object} config - 配置对象
+   */
+  constructor(config) {
+    this.blockResponse = String(config.DNS_BLOCK_RESPONSE || 'nxdomain').toLowerCase();
+    if (!DnsFilter.BLOCK_RESPONSES.includes(this.blockResponse)) {
+      throw new Error(`Invalid DNS block response: ${config.DNS_BLOCK_RESPONSE}`);
+    }
+    this.ttl = Number(config.DNS_FILTER_TTL) || 0;
+    this.listUrls = ConfigManager.getListValue(config, 'DNS_BLOCKLIST_URLS');
+    this.listRefresh = Number(config.DNS_BLOCKLIST_REFRESH) || 0;
+
+    this.rules = DnsFilter.createRules();
+    ConfigManager.getListValue(config, 'DNS_BLOCKLIST').forEach((rule) => DnsFilter.addDomainRule(this.rules.block, rule));
+    ConfigManager.getListValue(config, 'DNS_ALLOWLIST').forEach((rule) => DnsFilter.addDomainRule(this.rules.allow, rule));
+    for (const entry of ConfigManager.getListValue(config, 'DNS_HOSTS')) {
+      const [name, address] = DnsFilter.splitEntry(entry, 'DNS host override');
+      if (!IPUtils.isIPv4(address) && !IPUtils.isIPv6(address)) {
+        throw new Error(`Invalid DNS host override: ${entry}`);
+      }
+      this.rules.hosts.push({ pattern: name, address });
+    }
+    this.rewrites = ConfigManager.getListValue(config, 'DNS_REWRITES').map((entry) => {
+      const [pattern, target] = DnsFilter.splitEntry(entry, 'DNS rewrite');
+      return { pattern, target: target.replace(/\.$/, '') };
+    });
+
+    this.log = config.DEBUG_MODE
+      ? (message, data = "") => console.log(`[DEBUG] ${message}`, data)
+      : () => {};
+  }
+
+  /**
+   * 检查是否配置了任何过滤规则
+   * @returns {boolean} 是否启用
+   */
+  isEnabled() {
+    const { block, hosts } = this.rules;
+    return block.exact.size > 0 || block.suffix.size > 0 || block.patterns.length > 0 ||
+      hosts.length > 0 || this.rewrites.length > 0 || this.listUrls.length > 0;
+  }
+
+  /**
+   * 按规则处理查询
+   * @param {Uint8Array} query - DNS查询报文
+   * @param {function(Uint8Array): Promise<Uint8Array>} resolve - 向上游查询的函数（用于CNAME改写的目标）
+   * @returns {Promise<object|null>} {answer: 本地应答报文, action: 'hosts'|'rewrite'|'blocked'}，未命中规则时返回null
+   */
+  async apply(query, resolve) {
+    if (!this.isEnabled()) return null;
+    const message = DnsMessage.parse(query);
+    if (message.qr || message.opcode !== 0 || message.questions.length !== 1) return null;
+    const [question] = message.questions;
+    if (question.class !== 1) return null;
+    const name = question.name.toLowerCase().replace(/\.$/, '');
+
+    const lists = await this.loadLists();
+    const rulesets = [this.rules, ...lists];
+
+    // 本地解析：只返回与查询类型匹配的地址，域名存在但没有该类型地址时返回空应答
+    const addresses = rulesets.flatMap((rules) => rules.hosts)
+      .filter((host) => DnsFilter.matchPattern(name, host.pattern))
+      .map((host) => host.address);
+    if (addresses.length) {
+      this.log("DNS host override", name);
+      const type = { [DnsMessage.TYPES.A]: IPUtils.isIPv4, [DnsMessage.TYPES.AAAA]: IPUtils.isIPv6 }[question.type];
+      const answers = [...new Set(addresses)]
+        .filter((address) => type && type.call(IPUtils, address))
+        .map((address) => this.record(question, address));
+      return { answer: this.buildAnswer(message, DnsMessage.RCODES.NOERROR, answers), action: 'hosts' };
+    }
+
+    // CNAME改写：返回指向目标域名的CNAME记录，并附带上游对目标域名的应答
+    const rewrite = this.rewrites.find((rule) => DnsFilter.matchPattern(name, rule.pattern));
+    if (rewrite && question.type !== DnsMessage.TYPES.CNAME) {
+      this.log(`DNS rewrite to ${rewrite.target}`, name);
+      const target = DnsMessage.parse(await resolve(DnsMessage.buildQuery({
+        name: rewrite.target,
+        type: question.type,
+        id: message.id,
+        checkingDisabled: message.cd,
+        dnssecOk: !!message.edns?.dnssecOk,
+      })));
+      const cname = { name: question.name, type: DnsMessage.TYPES.CNAME, class: 1, ttl: this.ttl, data: rewrite.target };
+      const answer = this.buildAnswer(message, target.rcode, [cname, ...target.answers]);
+      return { answer, action: 'rewrite' };
+    }
+
+    // 拦截：允许列表优先于拦截列表
+    const allowed = rulesets.some((rules) => DnsFilter.matchDomain(name, rules.allow));
+    if (!allowed && rulesets.some((rules) => DnsFilter.matchDomain(name, rules.block))) {
+      this.log("DNS query blocked", name);
+      return { answer: this.buildBlockedAnswer(message, question), action: 'blocked' };
+    }
+    return null;
+  }
+
+  /**
+   * 构造拦截应答
+   * @param {object} message - 解析后的查询
+   * @param {object} question - 查询的问题
+   * @returns {Uint8Array} 应答报文
+   */
+  buildBlockedAnswer(message, question) {
+    const { NOERROR, NXDOMAIN, REFUSED } = DnsMessage.RCODES;
+    const ede = { code: DnsMessage.EDNS_OPTIONS.EDE, data: new Uint8Array([0, DnsFilter.EDE_BLOCKED]) };
+    if (this.blockResponse === 'nxdomain') {
+      return this.buildAnswer(message, NXDOMAIN, [], [ede]);
+    }
+    if (this.blockResponse === 'refused') {
+      return this.buildAnswer(message, REFUSED, [], [ede]);
+    }
+    // zero: A返回0.0.0.0，AAAA返回::，其他类型返回空应答
+    const address = { [DnsMessage.TYPES.A]: '0.0.0.0', [DnsMessage.TYPES.AAAA]: '::' }[question.type];
+    const answers = address ? [this.record(question, address)] : [];
+    return this.buildAnswer(message, NOERROR, answers, [ede]);
+  }
+
+  /**
+   * 构造应答报文，保留查询的ID、问题部分和标志位
+   * @param {object} message - 解析后的查询
+   * @param {number} rcode - 响应码
+   * @param {Array<object>} answers - 应答记录
+   * @param {Array<object>} options - EDNS选项，查询不带EDNS时忽略
+   * @returns {Uint8Array} 应答报文
+   */
+  buildAnswer(message, rcode, answers, options = []) {
+    return DnsMessage.encode({
+      id: message.id,
+      qr: true,
+      rd: message.rd,
+      ra: true,
+      cd: message.cd,
+      rcode,
+      questions: message.questions,
+      answers,
+      edns: message.edns ? { udpSize: 1232, dnssecOk: message.edns.dnssecOk, options } : null,
+    });
+  }
+
+  /**
+   * 构造地址记录
+   * @param {object} question - 查询的问题
+   * @param {string} address - IP地址
+   * @returns {object} A或AAAA记录
+   */
+  record(question, address) {
+    const type = IPUtils.isIPv4(address) ? DnsMessage.TYPES.A : DnsMessage.TYPES.AAAA;
+    return { name: question.name, type, class: 1, ttl: this.ttl, data: address };
+  }
+
+  /**
+   * 加载DNS_BLOCKLIST_URLS中的规则列表
+   * 列表在内存中缓存DNS_BLOCKLIST_REFRESH秒，下载失败时继续使用上一次的结果
+   * @returns {Promise<Array<object>>} 规则集列表
+   */
+  async loadLists() {
+    return await Promise.all(this.listUrls.map(async (url) => {
+      let entry = DnsFilter.lists.get(url);
+      const expired = entry && this.listRefresh && Date.now() - entry.fetchedAt >= this.listRefresh * 1000;
+      if (!entry || (expired && !entry.pending)) {
+        const previous = entry?.rules || DnsFilter.createRules();
+        entry = { rules: previous, fetchedAt: entry?.fetchedAt || 0 };
+        entry.pending = this.fetchList(url)
+          .then((rules) => {
+            entry.rules = rules;
+          })
+          .catch((error) => {
+            this.log(`DNS blocklist download failed: ${url}`, error.message);
+          })
+          .finally(() => {
+            entry.fetchedAt = Date.now();
+            entry.pending = null;
+          });
+        DnsFilter.lists.set(url, entry);
+      }
+      if (entry.pending) await entry.pending;
+      return entry.rules;
+    }));
+  }
+
+  /**
+   * 下载并解析规则列表
+   * @param {string} url - 列表地址
+   * @returns {Promise<object>} 规则集
+   */
+  async fetchList(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Blocklist returned status ${response.status}`);
+    }
+    const rules = DnsFilter.parseList(await response.text());
+    this.log(`DNS blocklist loaded: ${url}`, rules.block.exact.size + rules.block.suffix.size);
+    return rules;
+  }
+
+  /**
+   * 解析hosts格式或adblock格式的规则列表
+   * - hosts格式："0.0.0.0 ads.example.com"，地址为0.0.0.0/127.0.0.1/::/::1时拦截，其他地址作为本地解析
+   * - adblock格式："||ads.example.com^" 拦截域名及子域名，"@@||example.com^" 允许
+   * - 每行一个域名的列表：拦截该域名
+   * 带有修饰符（$）或路径的adblock规则不适用于DNS，会被忽略
+   * @param {string} text - 列表内容
+   * @returns {object} 规则集
+   */
+  static parseList(text) {
+    const rules = this.createRules();
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/\s#.*$/, '').trim();
+      if (!line || /^[#![]/.test(line)) continue;
+
+      if (line.startsWith('@@')) {
+        if (/^@@\|\|[^$/]+\^?$/.test(line)) this.addDomainRule(rules.allow, line.slice(2));
+        continue;
+      }
+      if (line.startsWith('||')) {
+        if (/^\|\|[^$/]+\^?$/.test(line)) this.addDomainRule(rules.block, line);
+        continue;
+      }
+
+      const fields = line.split(/\s+/);
+      if (fields.length === 1) {
+        if (/^[a-z0-9_.-]+$/i.test(line)) this.addDomainRule(rules.block, line);
+        continue;
+      }
+      const [address, ...names] = fields;
+      if (!IPUtils.isIPv4(address) && !IPUtils.isIPv6(address)) continue;
+      for (const name of names.map((n) => n.toLowerCase())) {
+        if (this.RESERVED_NAMES.includes(name)) continue;
+        if (this.BLOCK_ADDRESSES.includes(address)) {
+          rules.block.exact.add(name.replace(/\.$/, ''));
+        } else {
+          rules.hosts.push({ pattern: name, address });
+        }
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * 创建空规则集
+   * @returns {object} {block, allow, hosts}
+   */
+  static createRules() {
+    const domains = () => ({ exact: new Set(), suffix: new Set(), patterns: [] });
+    return { block: domains(), allow: domains(), hosts: [] };
+  }
+
+  /**
+   * 向域名规则中添加一条规则
+   * @param {object} domains - {exact, suffix, patterns}
+   * @param {string} rule - 规则
+   */
+  static addDomainRule(domains, rule) {
+    const value = rule.trim().toLowerCase();
+    const suffix = value.match(/^\|\|(.+?)\^?$/);
+    if (suffix) {
+      domains.suffix.add(suffix[1].replace(/\.$/, ''));
+    } else if (/[*?]/.test(value)) {
+      domains.patterns.push(value);
+    } else {
+      domains.exact.add(value.replace(/\.$/, ''));
+    }
+  }
+
+  /**
+   * 检查域名是否匹配域名规则
+   * @param {string} name - 小写、不带结尾点的域名
+   * @param {object} domains - {exact, suffix, patterns}
+   * @returns {boolean} 是否匹配
+   */
+  static matchDomain(name, domains) {
+    if (domains.exact.has(name)) return true;
+    const labels = name.split('.');
+    for (let i = 0; i < labels.length; i++) {
+      if (domains.suffix.has(labels.slice(i).join('.'))) return true;
+    }
+    return domains.patterns.length > 0 && PatternMatcher.matchHost(name, domains.patterns);
+  }
+
+  /**
+   * 检查域名是否匹配单条规则（本地解析和改写使用）
+   * @param {string} name - 小写、不带结尾点的域名
+   * @param {string} pattern - 规则
+   * @returns {boolean} 是否匹配
+   */
+  static matchPattern(name, pattern) {
+    const domains = { exact: new Set(), suffix: new Set(), patterns: [] };
+    this.addDomainRule(domains, pattern);
+    return this.matchDomain(name, domains);
+  }
+
+  /**
+   * 拆分 "name=value" 形式的配置项
+   * @param {string} entry - 配置项
+   * @param {string} label - 配置项名称（用于错误信息）
+   * @returns {string[]} [name, value]
+   */
+  static splitEntry(entry, label) {
+    const index = entry.indexOf('=');
+    const name = entry.slice(0, index).trim();
+    const value = entry.slice(index + 1).trim();
+    if (index <= 0 || !name || !value) {
+      throw new Error(`Invalid ${label}: ${entry}`);
+    }
+    return [name, value];
+  }
+}
\ No newline at end of file
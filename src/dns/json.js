@@ -0,0 +1,71 @@
+import { DnsMessage } from './message.js';
+
+/**
+ * DNS JSON API工具类
+ * 兼容Google/Cloudflare的 application/dns-json 格式（?name=&type=）
+ */
+export class DnsJson {
+  // JSON API的内容类型
+  static CONTENT_TYPE = 'application/dns-json';
+
+  /**
+   * 根据查询参数构造DNS查询报文
+   * @param {URLSearchParams} params - 查询参数，支持 name、type、do、cd
+   * @returns {Uint8Array} 查询报文
+   */
+  static buildQuery(params) {
+    const name = params.get('name');
+    if (!name) {
+      throw new Error("Missing name parameter");
+    }
+    const type = DnsMessage.typeCode(params.get('type') || 'A');
+    if (type === null) {
+      throw new Error(`Invalid type parameter: ${params.get('type')}`);
+    }
+    return DnsMessage.buildQuery({
+      name,
+      type,
+      checkingDisabled: this.isEnabled(params.get('cd')),
+      dnssecOk: this.isEnabled(params.get('do')),
+    });
+  }
+
+  /**
+   * 将DNS响应报文转换为JSON对象
+   * @param {Uint8Array} bytes - DNS响应报文
+   * @returns {object} JSON对象，字段与Google/Cloudflare的JSON API一致
+   */
+  static fromMessage(bytes) {
+    const message = DnsMessage.parse(bytes);
+    const records = (list) => list.map((record) => ({
+      name: `${record.name}.`,
+      type: record.type,
+      TTL: record.ttl,
+      data: DnsMessage.formatRdata(record),
+    }));
+
+    const json = {
+      Status: ((message.edns?.extendedRcode || 0) << 4) | message.rcode,
+      TC: message.tc,
+      RD: message.rd,
+      RA: message.ra,
+      AD: message.ad,
+      CD: message.cd,
+      Question: message.questions.map((question) => ({ name: `${question.name}.`, type: question.type })),
+    };
+    for (const [key, list] of [['Answer', message.answers], ['Authority', message.authorities], ['Additional', message.additionals]]) {
+      const converted = records(list);
+      if (converted.length) json[key] = converted;
+    }
+    return json;
+  }
+
+  /**
+   * 检查布尔类型的查询参数
+   * @param {string|null} value - 参数值
+   * @returns {boolean} 是否启用
+   */
+  static isEnabled(value) {
+    return value !== null && value !== '' && value !== '0' && value.toLowerCase() !== 'false';
+  }
+}
\ No newline at end of file
@@ -0,0 +1,816 @@
+import { IPUtils } from '../utils/ip.js';
+
+/**
+ * DNS报文编解码工具类
+ * 负责DNS报文的解析和序列化（RFC 1035），支持名称压缩、EDNS0（RFC 6891）
+ * 以及A/AAAA/CNAME/NS/PTR/MX/TXT/SOA/SRV/CAA/SVCB/HTTPS记录
+ */
+export class DnsMessage {
+  // 常用记录类型
+  static TYPES = {
+    A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28, SRV: 33, DNAME: 39,
+    OPT: 41, DS: 43, RRSIG: 46, NSEC: 47, DNSKEY: 48, NSEC3: 50, SVCB: 64, HTTPS: 65, ANY: 255, CAA: 257,
+  };
+
+  // 响应码
+  static RCODES = { NOERROR: 0, FORMERR: 1, SERVFAIL: 2, NXDOMAIN: 3, NOTIMP: 4, REFUSED: 5 };
+
+  // EDNS选项代码：客户端子网（RFC 7871）、填充（RFC 7830）、扩展DNS错误（RFC 8914）
+  static EDNS_OPTIONS = { ECS: 8, PADDING: 12, EDE: 15 };
+
+  // SVCB/HTTPS记录的参数名称（RFC 9460）
+  static SVC_PARAM_KEYS = ['mandatory', 'alpn', 'no-default-alpn', 'port', 'ipv4hint', 'ech', 'ipv6hint'];
+
+  // 报文头部长度
+  static HEADER_LENGTH = 12;
+
+  // 按文本解析的记录数据（TXT/CAA/SVCB/HTTPS）-> 原始rdata
+  // 文本解码不是无损的，未被替换的数据序列化时原样写回原始字节
+  static ORIGINAL_RDATA = new WeakMap();
+
+  // 数据中包含文本、且不含可压缩名称的记录类型
+  static TEXT_TYPES = [this.TYPES.TXT, this.TYPES.CAA, this.TYPES.SVCB, this.TYPES.HTTPS];
+
+  /**
+   * 将记录类型名称或数字转换为类型代码
+   * @param {string|number} type - 类型名称（例如 "AAAA"、"TYPE65"）或数字
+   * @returns {number|null} 类型代码，无效时返回null
+   */
+  static typeCode(type) {
+    const value = String(type).trim().toUpperCase();
+    if (value in this.TYPES) return this.TYPES[value];
+    const match = value.match(/^(?:TYPE)?(\d{1,5})$/);
+    if (match && Number(match[1]) <= 0xffff) return Number(match[1]);
+    return null;
+  }
+
+  /**
+   * 将类型代码转换为类型名称
+   * @param {number} code - 类型代码
+   * @returns {string} 类型名称，未知类型返回 "TYPE<代码>"
+   */
+  static typeName(code) {
+    return Object.keys(this.TYPES).find((name) => this.TYPES[name] === code) || `TYPE${code}`;
+  }
+
+  /**
+   * 构造DNS查询报文
+   * @param {object} options - 查询选项
+   * @param {string} options.name - 查询的域名
+   * @param {number} options.type - 记录类型代码
+   * @param {number} options.id - 报文ID，DoH建议使用0
+   * @param {boolean} options.checkingDisabled - 是否设置CD位
+   * @param {boolean} options.dnssecOk - 是否请求DNSSEC记录（添加带DO位的EDNS0 OPT记录）
+   * @returns {Uint8Array} 查询报文
+   */
+  static buildQuery({ name, type, id = 0, checkingDisabled = false, dnssecOk = false }) {
+    return this.encode({
+      id,
+      rd: true,
+      cd: checkingDisabled,
+      questions: [{ name, type, class: 1 }],
+      edns: dnssecOk ? { udpSize: 4096, dnssecOk: true, options: [] } : null,
+    });
+  }
+
+  /**
+   * 将域名编码为DNS报文中的标签序列（不压缩）
+   * @param {string} name - 域名，可带末尾的点
+   * @returns {Uint8Array} 编码后的域名
+   */
+  static encodeName(name) {
+    const writer = new DnsWriter();
+    writer.name(name, false);
+    return writer.finish();
+  }
+
+  /**
+   * 读取报文中的域名，支持压缩指针
+   * @param {Uint8Array} bytes - 完整的DNS报文
+   * @param {number} offset - 域名起始位置
+   * @returns {object} {name: 不带末尾点的主文件格式域名（根域名为空字符串）, offset: 域名之后的位置}
+   */
+  static readName(bytes, offset) {
+    const labels = [];
+    let position = offset;
+    let end = -1;
+    // 限制跳转次数，防止恶意构造的循环指针
+    for (let jumps = 0; jumps < 128; ) {
+      if (position >= bytes.length) {
+        throw new Error("DNS name exceeds message length");
+      }
+      const length = bytes[position];
+      if (length === 0) {
+        return { name: labels.join('.'), offset: end === -1 ? position + 1 : end };
+      }
+      if ((length & 0xc0) === 0xc0) {
+        if (end === -1) end = position + 2;
+        position = ((length & 0x3f) << 8) | bytes[position + 1];
+        jumps++;
+        continue;
+      }
+      if (length > 63) {
+        throw new Error("Invalid DNS label length");
+      }
+      labels.push(this.escapeLabel(bytes.subarray(position + 1, position + 1 + length)));
+      position += length + 1;
+    }
+    throw new Error("Too many DNS compression pointers");
+  }
+
+  /**
+   * 将标签转换为主文件格式（RFC 1035 5.1）
+   * 标签中的点和反斜杠写作 \. 和 \\，其余非可打印ASCII字节写作 \DDD，使名称可以无损地重新编码
+   * @param {Uint8Array} label - 标签字节
+   * @returns {string} 标签文本
+   */
+  static escapeLabel(label) {
+    let text = '';
+    for (const byte of label) {
+      if (byte === 0x2e || byte === 0x5c) {
+        text += `\\${String.fromCharCode(byte)}`;
+      } else if (byte > 0x20 && byte < 0x7f) {
+        text += String.fromCharCode(byte);
+      } else {
+        text += `\\${String(byte).padStart(3, '0')}`;
+      }
+    }
+    return text;
+  }
+
+  /**
+   * 将主文件格式的域名拆分为标签字节
+   * 支持 \. 和 \DDD 转义，未转义的非ASCII字符按UTF-8编码
+   * @param {string} name - 域名，可带末尾的点
+   * @returns {Uint8Array[]} 标签列表
+   */
+  static nameLabels(name) {
+    const encoder = new TextEncoder();
+    const labels = [];
+    let label = [];
+    for (let i = 0; i < name.length; i++) {
+      const char = name[i];
+      if (char === '.') {
+        if (label.length) labels.push(new Uint8Array(label));
+        label = [];
+      } else if (char === '\\' && /^\d{3}$/.test(name.slice(i + 1, i + 4))) {
+        const byte = Number(name.slice(i + 1, i + 4));
+        if (byte > 0xff) throw new Error(`Invalid DNS name escape: ${name}`);
+        label.push(byte);
+        i += 3;
+      } else if (char === '\\' && i + 1 < name.length) {
+        label.push(...encoder.encode(name[++i]));
+      } else {
+        label.push(...encoder.encode(char));
+      }
+    }
+    if (label.length) labels.push(new Uint8Array(label));
+    return labels;
+  }
+
+  /**
+   * 解析DNS报文
+   * 记录同时保留原始rdata和解析后的data，OPT记录从additionals中移出并解析为edns
+   * @param {Uint8Array|ArrayBuffer} data - DNS报文
+   * @returns {object} 解析结果，包含头部标志、问题、各部分记录和EDNS信息
+   */
+  static parse(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (bytes.length < this.HEADER_LENGTH) {
+      throw new Error("DNS message too short");
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const flags = view.getUint16(2);
+    const message = {
+      id: view.getUint16(0),
+      qr: !!(flags & 0x8000),
+      opcode: (flags >> 11) & 0x0f,
+      aa: !!(flags & 0x0400),
+      tc: !!(flags & 0x0200),
+      rd: !!(flags & 0x0100),
+      ra: !!(flags & 0x0080),
+      ad: !!(flags & 0x0020),
+      cd: !!(flags & 0x0010),
+      rcode: flags & 0x0f,
+      questions: [],
+      answers: [],
+      authorities: [],
+      additionals: [],
+      edns: null,
+    };
+
+    let offset = this.HEADER_LENGTH;
+    for (let i = view.getUint16(4); i > 0; i--) {
+      const { name, offset: next } = this.readName(bytes, offset);
+      if (next + 4 > bytes.length) {
+        throw new Error("DNS question exceeds message length");
+      }
+      message.questions.push({ name, type: view.getUint16(next), class: view.getUint16(next + 2) });
+      offset = next + 4;
+    }
+
+    const sections = [
+      [message.answers, view.getUint16(6)],
+      [message.authorities, view.getUint16(8)],
+      [message.additionals, view.getUint16(10)],
+    ];
+    for (const [records, count] of sections) {
+      for (let i = 0; i < count; i++) {
+        const { name, offset: next } = this.readName(bytes, offset);
+        if (next + 10 > bytes.length) {
+          throw new Error("DNS record exceeds message length");
+        }
+        const rdlength = view.getUint16(next + 8);
+        const rdataOffset = next + 10;
+        if (rdataOffset + rdlength > bytes.length) {
+          throw new Error("DNS record data exceeds message length");
+        }
+        const record = {
+          name,
+          type: view.getUint16(next),
+          class: view.getUint16(next + 2),
+          ttl: view.getUint32(next + 4),
+          rdataOffset,
+          rdata: bytes.subarray(rdataOffset, rdataOffset + rdlength),
+        };
+        offset = rdataOffset + rdlength;
+
+        if (record.type === this.TYPES.OPT) {
+          message.edns = this.decodeEdns(record);
+          continue;
+        }
+        record.data = this.decodeRdata(record, bytes);
+        if (this.TEXT_TYPES.includes(record.type)) {
+          this.ORIGINAL_RDATA.set(record.data, record.rdata.slice());
+        }
+        records.push(record);
+      }
+    }
+    return message;
+  }
+
+  /**
+   * 解析OPT伪记录（RFC 6891）
+   * @param {object} record - OPT记录
+   * @returns {object} {udpSize, extendedRcode, version, dnssecOk, options: [{code, data}]}
+   */
+  static decodeEdns(record) {
+    const options = [];
+    const { rdata } = record;
+    const view = new DataView(rdata.buffer, rdata.byteOffset, rdata.byteLength);
+    for (let offset = 0; offset + 4 <= rdata.length; ) {
+      const length = view.getUint16(offset + 2);
+      options.push({ code: view.getUint16(offset), data: rdata.slice(offset + 4, offset + 4 + length) });
+      offset += 4 + length;
+    }
+    return {
+      udpSize: record.class,
+      extendedRcode: record.ttl >>> 24,
+      version: (record.ttl >>> 16) & 0xff,
+      dnssecOk: !!(record.ttl & 0x8000),
+      options,
+    };
+  }
+
+  /**
+   * 解析记录数据
+   * @param {object} record - 记录（包含rdata和rdataOffset）
+   * @param {Uint8Array} bytes - 完整的DNS报文，用于解析压缩的域名
+   * @returns {*} 解析后的数据，未知类型返回原始字节
+   */
+  static decodeRdata(record, bytes) {
+    const { rdata, rdataOffset } = record;
+    const view = new DataView(rdata.buffer, rdata.byteOffset, rdata.byteLength);
+    const name = (offset) => this.readName(bytes, rdataOffset + offset);
+
+    switch (record.type) {
+      case this.TYPES.A:
+        return Array.from(rdata).join('.');
+      case this.TYPES.AAAA:
+        return IPUtils.formatIPv6(rdata);
+      case this.TYPES.NS:
+      case this.TYPES.CNAME:
+      case this.TYPES.PTR:
+      case this.TYPES.DNAME:
+        return name(0).name;
+      case this.TYPES.MX:
+        return { preference: view.getUint16(0), exchange: name(2).name };
+      case this.TYPES.SRV:
+        return { priority: view.getUint16(0), weight: view.getUint16(2), port: view.getUint16(4), target: name(6).name };
+      case this.TYPES.TXT:
+        return this.readCharacterStrings(rdata);
+      case this.TYPES.SOA: {
+        const mname = name(0);
+        const rname = this.readName(bytes, mname.offset);
+        const numbers = new DataView(bytes.buffer, bytes.byteOffset + rname.offset, 20);
+        const [serial, refresh, retry, expire, minimum] = [0, 4, 8, 12, 16].map((i) => numbers.getUint32(i));
+        return { mname: mname.name, rname: rname.name, serial, refresh, retry, expire, minimum };
+      }
+      case this.TYPES.CAA: {
+        const decoder = new TextDecoder();
+        const tagLength = rdata[1];
+        return {
+          flags: rdata[0],
+          tag: decoder.decode(rdata.subarray(2, 2 + tagLength)),
+          value: decoder.decode(rdata.subarray(2 + tagLength)),
+        };
+      }
+      case this.TYPES.SVCB:
+      case this.TYPES.HTTPS:
+        return this.decodeSvcb(record, bytes);
+      default:
+        return rdata.slice();
+    }
+  }
+
+  /**
+   * 解析SVCB/HTTPS记录数据（RFC 9460）
+   * @param {object} record - 记录
+   * @param {Uint8Array} bytes - 完整的DNS报文
+   * @returns {object} {priority, target, params: [{key, value}]}
+   */
+  static decodeSvcb(record, bytes) {
+    const { rdata, rdataOffset } = record;
+    const view = new DataView(rdata.buffer, rdata.byteOffset, rdata.byteLength);
+    // SVCB的目标名称不允许压缩，但readName同样可以读取未压缩的名称
+    const target = this.readName(bytes, rdataOffset + 2);
+    const params = [];
+    for (let offset = target.offset - rdataOffset; offset + 4 <= rdata.length; ) {
+      const key = view.getUint16(offset);
+      const length = view.getUint16(offset + 2);
+      const value = rdata.subarray(offset + 4, offset + 4 + length);
+      params.push({ key, value: this.decodeSvcParam(key, value) });
+      offset += 4 + length;
+    }
+    return { priority: view.getUint16(0), target: target.name, params };
+  }
+
+  /**
+   * 解析SVCB参数值
+   * @param {number} key - 参数键
+   * @param {Uint8Array} value - 参数值
+   * @returns {*} mandatory为键列表，alpn为协议列表，port为端口，ipv4hint/ipv6hint为地址列表，其他为原始字节
+   */
+  static decodeSvcParam(key, value) {
+    const view = new DataView(value.buffer, value.byteOffset, value.byteLength);
+    switch (key) {
+      case 0:
+        return Array.from({ length: value.length / 2 }, (_, i) => view.getUint16(i * 2));
+      case 1:
+        return this.readCharacterStrings(value);
+      case 2:
+        return true;
+      case 3:
+        return view.getUint16(0);
+      case 4:
+        return Array.from({ length: value.length / 4 }, (_, i) => Array.from(value.subarray(i * 4, i * 4 + 4)).join('.'));
+      case 6:
+        return Array.from({ length: value.length / 16 }, (_, i) => IPUtils.formatIPv6(value.subarray(i * 16, i * 16 + 16)));
+      default:
+        return value.slice();
+    }
+  }
+
+  /**
+   * 序列化DNS报文
+   * 名称按RFC 1035压缩，只在允许的记录类型（NS/CNAME/SOA/PTR/MX）的数据中使用压缩
+   * 由parse得到的TXT/CAA/SVCB/HTTPS数据原样写回原始字节；需要修改时应替换record.data，而不是就地修改
+   * @param {object} message - 报文对象，格式与parse返回值相同，记录使用data（或未知类型的rdata）
+   * @returns {Uint8Array} DNS报文
+   */
+  static encode(message) {
+    const writer = new DnsWriter();
+    const answers = message.answers || [];
+    const authorities = message.authorities || [];
+    const additionals = message.additionals || [];
+    const edns = message.edns;
+    const rcode = message.rcode || 0;
+
+    writer.u16(message.id || 0);
+    writer.u16(
+      (message.qr ? 0x8000 : 0) |
+      ((message.opcode || 0) << 11) |
+      (message.aa ? 0x0400 : 0) |
+      (message.tc ? 0x0200 : 0) |
+      (message.rd ? 0x0100 : 0) |
+      (message.ra ? 0x0080 : 0) |
+      (message.ad ? 0x0020 : 0) |
+      (message.cd ? 0x0010 : 0) |
+      (rcode & 0x0f)
+    );
+    writer.u16((message.questions || []).length);
+    writer.u16(answers.length);
+    writer.u16(authorities.length);
+    writer.u16(additionals.length + (edns ? 1 : 0));
+
+    for (const question of message.questions || []) {
+      writer.name(question.name, true);
+      writer.u16(question.type);
+      writer.u16(question.class ?? 1);
+    }
+    for (const record of [...answers, ...authorities, ...additionals]) {
+      writer.name(record.name, true);
+      writer.u16(record.type);
+      writer.u16(record.class ?? 1);
+      writer.u32(record.ttl ?? 0);
+      const lengthOffset = writer.reserve(2);
+      this.encodeRdata(writer, record);
+      writer.patchLength(lengthOffset);
+    }
+    if (edns) {
+      this.encodeEdns(writer, edns, rcode);
+    }
+    return writer.finish();
+  }
+
+  /**
+   * 序列化OPT伪记录
+   * @param {DnsWriter} writer - 写入器
+   * @param {object} edns - EDNS信息
+   * @param {number} rcode - 完整的响应码，高8位写入扩展响应码
+   */
+  static encodeEdns(writer, edns, rcode) {
+    writer.u8(0);
+    writer.u16(this.TYPES.OPT);
+    writer.u16(edns.udpSize || 1232);
+    writer.u8(edns.extendedRcode ?? (rcode >> 4));
+    writer.u8(edns.version || 0);
+    writer.u16(edns.dnssecOk ? 0x8000 : 0);
+    const lengthOffset = writer.reserve(2);
+    for (const option of edns.options || []) {
+      writer.u16(option.code);
+      writer.u16(option.data.length);
+      writer.bytes(option.data);
+    }
+    writer.patchLength(lengthOffset);
+  }
+
+  /**
+   * 替换报文中的OPT伪记录，头部和各部分的其他记录按原始字节复制，只修改ARCOUNT
+   * 不经过parse/encode，不会改变其他记录的内容和压缩指针
+   * @param {Uint8Array} bytes - DNS报文
+   * @param {object|null} edns - 新的EDNS信息，null表示移除OPT记录
+   * @returns {Uint8Array|null} 新报文；OPT记录之后还有其他记录时（移动它们会破坏压缩指针）返回null
+   */
+  static replaceEdns(bytes, edns) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = this.HEADER_LENGTH;
+    for (let i = view.getUint16(4); i > 0; i--) {
+      offset = this.readName(bytes, offset).offset + 4;
+    }
+    let opt = null;
+    const count = view.getUint16(6) + view.getUint16(8) + view.getUint16(10);
+    for (let i = 0; i < count; i++) {
+      const start = offset;
+      const next = this.readName(bytes, offset).offset;
+      if (next + 10 > bytes.length) {
+        throw new Error("DNS record exceeds message length");
+      }
+      offset = next + 10 + view.getUint16(next + 8);
+      if (offset > bytes.length) {
+        throw new Error("DNS record data exceeds message length");
+      }
+      if (opt) return null;
+      if (view.getUint16(next) === this.TYPES.OPT) {
+        opt = start;
+      }
+    }
+
+    const head = bytes.slice(0, opt ?? offset);
+    const arcount = view.getUint16(10) - (opt === null ? 0 : 1) + (edns ? 1 : 0);
+    new DataView(head.buffer).setUint16(10, arcount);
+    if (!edns) return head;
+    const writer = new DnsWriter();
+    writer.bytes(head);
+    this.encodeEdns(writer, edns, view.getUint16(2) & 0x0f);
+    return writer.finish();
+  }
+
+  /**
+   * 序列化记录数据
+   * @param {DnsWriter} writer - 写入器
+   * @param {object} record - 记录
+   */
+  static encodeRdata(writer, record) {
+    const { data } = record;
+    const original = typeof data === 'object' && data !== null ? this.ORIGINAL_RDATA.get(data) : undefined;
+    if (original) {
+      writer.bytes(original);
+      return;
+    }
+    switch (record.type) {
+      case this.TYPES.A:
+        writer.bytes(IPUtils.parseIPv4(data));
+        return;
+      case this.TYPES.AAAA:
+        writer.bytes(IPUtils.parseIPv6(data));
+        return;
+      case this.TYPES.NS:
+      case this.TYPES.CNAME:
+      case this.TYPES.PTR:
+        writer.name(data, true);
+        return;
+      case this.TYPES.DNAME:
+        writer.name(data, false);
+        return;
+      case this.TYPES.MX:
+        writer.u16(data.preference);
+        writer.name(data.exchange, true);
+        return;
+      case this.TYPES.SRV:
+        writer.u16(data.priority);
+        writer.u16(data.weight);
+        writer.u16(data.port);
+        writer.name(data.target, false);
+        return;
+      case this.TYPES.TXT:
+        for (const text of Array.isArray(data) ? data : [data]) {
+          writer.characterStrings(text);
+        }
+        return;
+      case this.TYPES.SOA:
+        writer.name(data.mname, true);
+        writer.name(data.rname, true);
+        for (const key of ['serial', 'refresh', 'retry', 'expire', 'minimum']) {
+          writer.u32(data[key]);
+        }
+        return;
+      case this.TYPES.CAA: {
+        const tag = new TextEncoder().encode(data.tag);
+        writer.u8(data.flags || 0);
+        writer.u8(tag.length);
+        writer.bytes(tag);
+        writer.bytes(new TextEncoder().encode(data.value));
+        return;
+      }
+      case this.TYPES.SVCB:
+      case this.TYPES.HTTPS:
+        writer.u16(data.priority);
+        writer.name(data.target, false);
+        // 参数必须按键升序排列
+        for (const param of [...data.params].sort((a, b) => a.key - b.key)) {
+          writer.u16(param.key);
+          const lengthOffset = writer.reserve(2);
+          this.encodeSvcParam(writer, param.key, param.value);
+          writer.patchLength(lengthOffset);
+        }
+        return;
+      default:
+        writer.bytes(data ?? record.rdata);
+    }
+  }
+
+  /**
+   * 序列化SVCB参数值
+   * @param {DnsWriter} writer - 写入器
+   * @param {number} key - 参数键
+   * @param {*} value - decodeSvcParam返回的参数值
+   */
+  static encodeSvcParam(writer, key, value) {
+    switch (key) {
+      case 0:
+        value.forEach((k) => writer.u16(k));
+        return;
+      case 1:
+        value.forEach((alpn) => writer.characterStrings(alpn));
+        return;
+      case 2:
+        return;
+      case 3:
+        writer.u16(value);
+        return;
+      case 4:
+        value.forEach((address) => writer.bytes(IPUtils.parseIPv4(address)));
+        return;
+      case 6:
+        value.forEach((address) => writer.bytes(IPUtils.parseIPv6(address)));
+        return;
+      default:
+        writer.bytes(value);
+    }
+  }
+
+  /**
+   * 将记录数据格式化为文本（与主文件格式一致）
+   * @param {object} record - parse返回的记录
+   * @returns {string} 记录数据文本
+   */
+  static formatRdata(record) {
+    const { data } = record;
+    const fqdn = (value) => `${value}.`;
+    const quote = (text) => `"${text.replace(/["\\]/g, '\\$&')}"`;
+
+    switch (record.type) {
+      case this.TYPES.A:
+      case this.TYPES.AAAA:
+        return data;
+      case this.TYPES.NS:
+      case this.TYPES.CNAME:
+      case this.TYPES.PTR:
+      case this.TYPES.DNAME:
+        return fqdn(data);
+      case this.TYPES.MX:
+        return `${data.preference} ${fqdn(data.exchange)}`;
+      case this.TYPES.SRV:
+        return `${data.priority} ${data.weight} ${data.port} ${fqdn(data.target)}`;
+      case this.TYPES.TXT:
+        return data.map(quote).join(' ');
+      case this.TYPES.SOA:
+        return `${fqdn(data.mname)} ${fqdn(data.rname)} ${data.serial} ${data.refresh} ${data.retry} ${data.expire} ${data.minimum}`;
+      case this.TYPES.CAA:
+        return `${data.flags} ${data.tag} ${quote(data.value)}`;
+      case this.TYPES.SVCB:
+      case this.TYPES.HTTPS:
+        return [data.priority, fqdn(data.target), ...data.params.map((param) => this.formatSvcParam(param))].join(' ');
+      default:
+        // 未知类型使用RFC 3597通用格式
+        return `\\# ${data.length} ${this.toHex(data)}`.trim();
+    }
+  }
+
+  /**
+   * 将SVCB参数格式化为文本
+   * @param {object} param - {key, value}
+   * @returns {string} 参数文本，例如 alpn="h2,h3"
+   */
+  static formatSvcParam({ key, value }) {
+    const name = this.SVC_PARAM_KEYS[key] || `key${key}`;
+    switch (key) {
+      case 0:
+        return `${name}=${value.map((k) => this.SVC_PARAM_KEYS[k] || `key${k}`).join(',')}`;
+      case 1:
+        return `${name}="${value.join(',')}"`;
+      case 2:
+        return name;
+      case 3:
+        return `${name}=${value}`;
+      case 4:
+      case 6:
+        return `${name}=${value.join(',')}`;
+      case 5:
+        return `${name}=${btoa(String.fromCharCode(...value))}`;
+      default:
+        return `${name}=${this.toHex(value)}`;
+    }
+  }
+
+  /**
+   * 读取字符串序列（每个字符串以1字节长度开头）
+   * @param {Uint8Array} data - 数据
+   * @returns {string[]} 字符串列表
+   */
+  static readCharacterStrings(data) {
+    const decoder = new TextDecoder();
+    const strings = [];
+    for (let offset = 0; offset < data.length; ) {
+      const length = data[offset];
+      strings.push(decoder.decode(data.subarray(offset + 1, offset + 1 + length)));
+      offset += length + 1;
+    }
+    return strings;
+  }
+
+  /**
+   * 将字节中的ASCII大写字母转换为小写，其他字节不变（RFC 4343）
+   * @param {Uint8Array} bytes - 字节
+   * @returns {Uint8Array} 新的字节数组
+   */
+  static lowerAscii(bytes) {
+    return bytes.map((b) => (b >= 0x41 && b <= 0x5a ? b + 0x20 : b));
+  }
+
+  /**
+   * 将字节转换为十六进制字符串
+   * @param {Uint8Array} bytes - 字节
+   * @returns {string} 十六进制字符串
+   */
+  static toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+/**
+ * DNS报文写入器
+ * 按需扩展缓冲区，并记录已写入名称的位置用于压缩
+ */
+class DnsWriter {
+  constructor() {
+    this.buffer = new Uint8Array(512);
+    this.view = new DataView(this.buffer.buffer);
+    this.length = 0;
+    this.names = new Map();
+  }
+
+  /**
+   * 确保缓冲区有足够的剩余空间
+   * @param {number} size - 需要的字节数
+   */
+  ensure(size) {
+    if (this.length + size <= this.buffer.length) return;
+    let capacity = this.buffer.length * 2;
+    while (capacity < this.length + size) capacity *= 2;
+    const buffer = new Uint8Array(capacity);
+    buffer.set(this.buffer.subarray(0, this.length));
+    this.buffer = buffer;
+    this.view = new DataView(buffer.buffer);
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.view.setUint8(this.length, value);
+    this.length += 1;
+  }
+
+  u16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  u32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.length, value >>> 0);
+    this.length += 4;
+  }
+
+  bytes(value) {
+    this.ensure(value.length);
+    this.buffer.set(value, this.length);
+    this.length += value.length;
+  }
+
+  /**
+   * 预留指定长度的位置（用于稍后写入长度字段）
+   * @param {number} size - 字节数
+   * @returns {number} 预留位置的偏移
+   */
+  reserve(size) {
+    this.ensure(size);
+    const offset = this.length;
+    this.length += size;
+    return offset;
+  }
+
+  /**
+   * 在预留的位置写入其后数据的长度
+   * @param {number} offset - reserve返回的偏移
+   */
+  patchLength(offset) {
+    this.view.setUint16(offset, this.length - offset - 2);
+  }
+
+  /**
+   * 写入字符串，超过255字节时拆分为多个字符串
+   * @param {string} text - 字符串
+   */
+  characterStrings(text) {
+    const bytes = new TextEncoder().encode(text);
+    let offset = 0;
+    do {
+      const chunk = bytes.subarray(offset, offset + 255);
+      this.u8(chunk.length);
+      this.bytes(chunk);
+      offset += 255;
+    } while (offset < bytes.length);
+  }
+
+  /**
+   * 写入域名
+   * @param {string} name - 主文件格式的域名，可带末尾的点
+   * @param {boolean} compress - 是否允许使用压缩指针
+   */
+  name(name, compress) {
+    const labels = DnsMessage.nameLabels(name);
+    const start = this.length;
+    for (let i = 0; i < labels.length; i++) {
+      // 以标签字节（ASCII字母转为小写）作为压缩表的键
+      const suffix = labels.slice(i).map((label) => DnsMessage.toHex(DnsMessage.lowerAscii(label))).join('.');
+      const pointer = this.names.get(suffix);
+      if (compress && pointer !== undefined) {
+        this.u16(0xc000 | pointer);
+        return;
+      }
+      // 压缩指针只能指向报文前16KB
+      if (pointer === undefined && this.length < 0x4000) {
+        this.names.set(suffix, this.length);
+      }
+      if (labels[i].length > 63) {
+        throw new Error(`DNS label too long: ${DnsMessage.escapeLabel(labels[i])}`);
+      }
+      this.u8(labels[i].length);
+      this.bytes(labels[i]);
+    }
+    this.u8(0);
+    if (this.length - start > 255) {
+      throw new Error(`DNS name too long: ${name}`);
+    }
+  }
+
+  /**
+   * 获取写入的报文
+   * @returns {Uint8Array} 报文
+   */
+  finish() {
+    return this.buffer.slice(0, this.length);
+  }
+}
\ No newline at end of file
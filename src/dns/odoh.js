@@ -0,0 +1,187 @@
+import { Hpke } from '../utils/hpke.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Oblivious DoH工具类（RFC 9230）
+ * 负责密钥配置的编码、查询的解密和响应的加密
+ */
+export class ObliviousDns {
+  // ODoH报文的内容类型
+  static CONTENT_TYPE = 'application/oblivious-dns-message';
+
+  // 密钥配置的发布路径
+  static CONFIGS_PATH = '/.well-known/odohconfigs';
+
+  // 密钥配置版本
+  static VERSION = 0x0001;
+
+  // 报文类型
+  static MESSAGE_TYPES = { QUERY: 0x01, RESPONSE: 0x02 };
+
+  // 已导入的密钥，在同一isolate的请求之间共享
+  static keys = new Map();
+
+  /**
+   * 导入目标私钥并生成密钥配置
+   * @param {string} secret - X25519私钥，64位十六进制或base64编码
+   * @returns {Promise<object>} {keyPair, contents: 密钥配置内容, keyId: 密钥ID}
+   */
+  static async loadKey(secret) {
+    let key = this.keys.get(secret);
+    if (!key) {
+      const value = String(secret).trim();
+      const bytes = /^[0-9a-f]{64}$/i.test(value)
+        ? Uint8Array.from(value.match(/../g), (byte) => parseInt(byte, 16))
+        : Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), (c) => c.charCodeAt(0));
+      const keyPair = await Hpke.importPrivateKey(bytes);
+      const contents = this.encodeConfigContents(keyPair.publicKey);
+      key = { keyPair, contents, keyId: await this.getKeyId(contents) };
+      this.keys.set(secret, key);
+    }
+    return key;
+  }
+
+  /**
+   * 编码密钥配置内容（ObliviousDoHConfigContents）
+   * @param {Uint8Array} publicKey - 目标公钥
+   * @returns {Uint8Array} 配置内容
+   */
+  static encodeConfigContents(publicKey) {
+    return Hpke.concat(
+      Hpke.i2osp(Hpke.KEM_ID, 2), Hpke.i2osp(Hpke.KDF_ID, 2), Hpke.i2osp(Hpke.AEAD_ID, 2),
+      Hpke.i2osp(publicKey.length, 2), publicKey
+    );
+  }
+
+  /**
+   * 编码密钥配置列表（ObliviousDoHConfigs），即 /.well-known/odohconfigs 的响应内容
+   * @param {Uint8Array} contents - 配置内容
+   * @returns {Uint8Array} 配置列表
+   */
+  static encodeConfigs(contents) {
+    const config = Hpke.concat(Hpke.i2osp(this.VERSION, 2), Hpke.i2osp(contents.length, 2), contents);
+    return Hpke.concat(Hpke.i2osp(config.length, 2), config);
+  }
+
+  /**
+   * 计算密钥ID
+   * @param {Uint8Array} contents - 配置内容
+   * @returns {Promise<Uint8Array>} 密钥ID
+   */
+  static async getKeyId(contents) {
+    const prk = await Hpke.extract(new Uint8Array(0), contents);
+    return await Hpke.expand(prk, encoder.encode('odoh key id'), Hpke.NH);
+  }
+
+  /**
+   * 编码ODoH报文（ObliviousDoHMessage）
+   * @param {number} type - 报文类型
+   * @param {Uint8Array} keyId - 查询的密钥ID或响应的nonce
+   * @param {Uint8Array} encrypted - 加密内容
+   * @returns {Uint8Array} 报文
+   */
+  static encodeMessage(type, keyId, encrypted) {
+    return Hpke.concat(
+      new Uint8Array([type]), Hpke.i2osp(keyId.length, 2), keyId, Hpke.i2osp(encrypted.length, 2), encrypted
+    );
+  }
+
+  /**
+   * 解析ODoH报文
+   * @param {Uint8Array} bytes - 报文
+   * @returns {object} {type, keyId, encrypted}
+   */
+  static decodeMessage(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const read = (offset) => {
+      if (offset + 2 > bytes.length) {
+        throw new Error("Oblivious DNS message too short");
+      }
+      const length = view.getUint16(offset);
+      if (offset + 2 + length > bytes.length) {
+        throw new Error("Oblivious DNS message field exceeds message length");
+      }
+      return bytes.subarray(offset + 2, offset + 2 + length);
+    };
+    if (!bytes.length) {
+      throw new Error("Oblivious DNS message too short");
+    }
+    const keyId = read(1);
+    const encrypted = read(3 + keyId.length);
+    return { type: bytes[0], keyId, encrypted };
+  }
+
+  /**
+   * 编码明文（ObliviousDoHMessagePlaintext）：DNS报文和全零填充
+   * @param {Uint8Array} dns - DNS报文
+   * @param {number} blockSize - 填充块大小，0表示不填充
+   * @returns {Uint8Array} 明文
+   */
+  static encodePlaintext(dns, blockSize = 0) {
+    const length = dns.length + 4;
+    const padding = blockSize ? (blockSize - (length % blockSize)) % blockSize : 0;
+    return Hpke.concat(Hpke.i2osp(dns.length, 2), dns, Hpke.i2osp(padding, 2), new Uint8Array(padding));
+  }
+
+  /**
+   * 解析明文，填充必须全部为0
+   * @param {Uint8Array} plaintext - 明文
+   * @returns {Uint8Array} DNS报文
+   */
+  static decodePlaintext(plaintext) {
+    const view = new DataView(plaintext.buffer, plaintext.byteOffset, plaintext.byteLength);
+    const length = plaintext.length >= 2 ? view.getUint16(0) : -1;
+    if (length < 0 || length + 4 > plaintext.length) {
+      throw new Error("Invalid oblivious DNS plaintext");
+    }
+    const padding = plaintext.subarray(length + 4);
+    if (view.getUint16(length + 2) !== padding.length || padding.some((byte) => byte !== 0)) {
+      throw new Error("Invalid oblivious DNS padding");
+    }
+    return plaintext.slice(2, 2 + length);
+  }
+
+  /**
+   * 解密查询
+   * @param {Uint8Array} body - 请求体
+   * @param {object} key - loadKey返回的密钥
+   * @returns {Promise<object>} {query: DNS查询报文, plaintext: 查询明文, context: HPKE上下文}
+   */
+  static async decryptQuery(body, key) {
+    const message = this.decodeMessage(body);
+    if (message.type !== this.MESSAGE_TYPES.QUERY) {
+      throw new Error(`Unexpected oblivious DNS message type: ${message.type}`);
+    }
+    if (message.keyId.length !== key.keyId.length || message.keyId.some((byte, i) => byte !== key.keyId[i])) {
+      throw Object.assign(new Error("Unknown oblivious DNS key ID"), { keyMismatch: true });
+    }
+    if (message.encrypted.length <= Hpke.NENC) {
+      throw new Error("Oblivious DNS query too short");
+    }
+    const enc = message.encrypted.subarray(0, Hpke.NENC);
+    const context = await Hpke.setupBaseR(enc, key.keyPair, encoder.encode('odoh query'));
+    const aad = Hpke.concat(new Uint8Array([this.MESSAGE_TYPES.QUERY]), Hpke.i2osp(message.keyId.length, 2), message.keyId);
+    const plaintext = await context.open(aad, message.encrypted.subarray(Hpke.NENC));
+    return { query: this.decodePlaintext(plaintext), plaintext, context };
+  }
+
+  /**
+   * 加密响应
+   * @param {Uint8Array} answer - DNS响应报文
+   * @param {object} request - decryptQuery的返回值
+   * @param {number} blockSize - 填充块大小，0表示不填充
+   * @returns {Promise<Uint8Array>} ODoH响应报文
+   */
+  static async encryptResponse(answer, request, blockSize = 0) {
+    const secret = await request.context.export(encoder.encode('odoh response'), Hpke.NK);
+    const nonce = crypto.getRandomValues(new Uint8Array(Math.max(Hpke.NN, Hpke.NK)));
+    const salt = Hpke.concat(request.plaintext, Hpke.i2osp(nonce.length, 2), nonce);
+    const prk = await Hpke.extract(salt, secret);
+    const key = await Hpke.expand(prk, encoder.encode('odoh key'), Hpke.NK);
+    const responseNonce = await Hpke.expand(prk, encoder.encode('odoh nonce'), Hpke.NN);
+    const aad = Hpke.concat(new Uint8Array([this.MESSAGE_TYPES.RESPONSE]), Hpke.i2osp(nonce.length, 2), nonce);
+    const encrypted = await Hpke.seal(key, responseNonce, aad, this.encodePlaintext(answer, blockSize));
+    return this.encodeMessage(this.MESSAGE_TYPES.RESPONSE, nonce, encrypted);
+  }
+}
\ No newline at end of file
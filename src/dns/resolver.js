@@ -0,0 +1,115 @@
+import { DnsMessage } from './message.js';
+import { ConfigManager } from '../config.js';
+import { AccessControl } from '../access-control.js';
+import { IPUtils } from '../utils/ip.js';
+import { PatternMatcher } from '../utils/pattern.js';
+import { DoHProxy } from '../proxies/doh.js';
+import { DoTProxy } from '../proxies/dot.js';
+import { DnsSocks5Proxy } from '../proxies/dns-socks5.js';
+
+/**
+ * 出站连接的域名解析器
+ * socket/socks5/httpproxy策略默认把域名直接交给connect()、SOCKS服务器或HTTP代理解析，
+ * 启用EGRESS_DNS后改为通过本项目的DoH/DoT/DNS over SOCKS5路径（包括上游策略、缓存、过滤和DNSSEC验证）解析，再按IP地址连接
+ * DNS_PINS中固定的主机不查询DNS，直接使用配置的地址
+ */
+export class EgressResolver {
+  // 可用的解析方式，off表示不在本地解析
+  static MODES = ['off', 'doh', 'dot', 'socks5'];
+
+  /**
+   * 构造函数
+   * @param {object} config - 配置对象
+   */
+  constructor(config) {
+    this.config = config;
+    this.mode = String(config.EGRESS_DNS || 'off').toLowerCase();
+    if (!EgressResolver.MODES.includes(this.mode)) {
+      throw new Error(`Invalid egress DNS mode: ${config.EGRESS_DNS}`);
+    }
+    this.pins = ConfigManager.getListValue(config, 'DNS_PINS').map((entry) => {
+      const index = entry.indexOf('=');
+      const pattern = entry.slice(0, index).trim();
+      const address = entry.slice(index + 1).trim().replace(/^\[(.*)\]$/, '$1');
+      if (index <= 0 || !pattern || (!IPUtils.isIPv4(address) && !IPUtils.isIPv6(address))) {
+        throw new Error(`Invalid DNS pin: ${entry}`);
+      }
+      return { pattern, address };
+    });
+    this.log = config.DEBUG_MODE
+      ? (message, data = "") => console.log(`[DEBUG] ${message}`, data)
+      : () => {};
+  }
+
+  /**
+   * 检查是否需要在本地解析
+   * @returns {boolean} 是否启用
+   */
+  isEnabled() {
+    return this.mode !== 'off' || this.pins.length > 0;
+  }
+
+  /**
+   * 获取建立连接使用的地址
+   * @param {object} target - BaseProxy.resolveTarget返回的目标信息
+   * @returns {Promise<object>} {hostname: 连接地址, addressType: SOCKS5地址类型}，未启用时为原主机名
+   */
+  async resolveTarget(target) {
+    const scheme = target.url.protocol.replace(':', '').toLowerCase();
+    const address = this.isEnabled() ? await this.resolve(target.hostname, scheme, target.port) : null;
+    if (!address) {
+      return { hostname: target.hostname, addressType: target.addressType };
+    }
+    return { hostname: address, addressType: IPUtils.isIPv4(address) ? 1 : 3 };
+  }
+
+  /**
+   * 解析主机名
+   * 通过DNS解析得到的地址按访问控制规则重新检查，DNS_PINS中配置的地址不检查
+   * @param {string} hostname - 主机名，已经是IP地址时原样返回
+   * @param {string} scheme - 目标协议，例如 "https"，TCP隧道为 "tcp"
+   * @param {number} port - 目标端口
+   * @returns {Promise<string|null>} IP地址，未启用本地解析时返回null（由connect()或SOCKS服务器解析）
+   */
+  async resolve(hostname, scheme, port) {
+    if (IPUtils.isIPv4(hostname) || IPUtils.isIPv6(hostname)) return hostname;
+
+    const pin = this.pins.find(({ pattern }) => PatternMatcher.matchHost(hostname, [pattern]));
+    if (pin) {
+      this.log(`Using pinned address for ${hostname}`, pin.address);
+      return pin.address;
+    }
+    if (this.mode === 'off') return null;
+
+    const address = await this.lookup(hostname, DnsMessage.TYPES.A) ?? await this.lookup(hostname, DnsMessage.TYPES.AAAA);
+    if (!address) {
+      throw new Error(`DNS resolution failed for ${hostname}`);
+    }
+    // 域名可能解析到内网地址或被禁止的地址段（DNS重绑定），按地址重新检查
+    const denied = AccessControl.checkResolved(scheme, address, port, this.config);
+    if (denied) {
+      throw new Error(`${hostname} resolved to ${address}: ${denied}`);
+    }
+    this.log(`Resolved ${hostname}`, address);
+    return address;
+  }
+
+  /**
+   * 通过DNS代理查询一种地址记录
+   * @param {string} hostname - 主机名
+   * @param {number} type - 记录类型（A或AAAA）
+   * @returns {Promise<string|null>} 第一个地址，没有记录时返回null
+   */
+  async lookup(hostname, type) {
+    const proxies = { doh: DoHProxy, dot: DoTProxy, socks5: DnsSocks5Proxy };
+    const proxy = new proxies[this.mode](this.config);
+    const { answer } = await proxy.resolve(DnsMessage.buildQuery({ name: hostname, type }));
+    const message = DnsMessage.parse(answer);
+    if (message.rcode !== DnsMessage.RCODES.NOERROR) {
+      throw new Error(`DNS resolution failed for ${hostname}: rcode ${message.rcode}`);
+    }
+    // 过滤规则拦截时返回的全零地址不可连接
+    const record = message.answers.find((r) => r.type === type && r.data !== '0.0.0.0' && r.data !== '::');
+    return record ? record.data : null;
+  }
+}
\ No newline at end of file
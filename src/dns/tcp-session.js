@@ -0,0 +1,173 @@
+import { DnsMessage } from './message.js';
+
+/**
+ * DNS over TCP/TLS 会话（RFC 7766 / RFC 7858）
+ * 每条报文带2字节长度前缀，同一连接上可以同时有多个未完成的查询（pipelining），响应按报文ID匹配
+ * 发送时为每个查询分配连接内唯一的ID，收到响应后恢复为原始ID，因此客户端使用相同ID（例如DoH常用的0）的并发查询不会冲突
+ * 会话只在打开它的请求内使用，由调用方在请求结束时关闭
+ */
+export class DnsTcpSession {
+  /**
+   * 构造函数
+   * @param {object} socket - 已建立的连接（cloudflare:sockets），应使用allowHalfOpen以便半关闭
+   * @param {object} options - {log: 日志函数}
+   */
+  constructor(socket, { log = () => {} } = {}) {
+    this.socket = socket;
+    this.writer = socket.writable.getWriter();
+    this.log = log;
+    // 未完成的查询：连接内ID -> {resolve, reject, id: 原始ID}
+    this.pending = new Map();
+    this.nextId = Math.floor(Math.random() * 0x10000);
+    // 已完成的查询数，用于判断连接是否被复用过
+    this.completed = 0;
+    this.closed = false;
+    this.reading = this.readLoop();
+  }
+
+  /**
+   * 在会话上发送查询
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {Promise<Uint8Array>} 与查询ID相同的DNS响应报文
+   */
+  async query(query) {
+    if (this.closed) {
+      throw new Error("DNS TCP session is closed");
+    }
+    if (query.length < DnsMessage.HEADER_LENGTH || query.length > 0xffff) {
+      throw new Error(`Invalid DNS query length: ${query.length}`);
+    }
+
+    const id = this.allocateId();
+    const frame = new Uint8Array(2 + query.length);
+    const view = new DataView(frame.buffer);
+    view.setUint16(0, query.length);
+    frame.set(query, 2);
+    view.setUint16(2, id);
+
+    const response = new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, id: (query[0] << 8) | query[1] });
+    });
+    try {
+      await this.writer.write(frame);
+    } catch (error) {
+      this.fail(error);
+    }
+    return await response;
+  }
+
+  /**
+   * 分配连接内未使用的报文ID
+   * @returns {number} 报文ID
+   */
+  allocateId() {
+    if (this.pending.size >= 0x10000) {
+      throw new Error("Too many outstanding DNS queries");
+    }
+    while (this.pending.has(this.nextId)) {
+      this.nextId = (this.nextId + 1) & 0xffff;
+    }
+    const id = this.nextId;
+    this.nextId = (this.nextId + 1) & 0xffff;
+    return id;
+  }
+
+  /**
+   * 持续读取连接，按长度前缀拆分出完整的响应并分发
+   * 一次读取可能包含多条响应，也可能只包含一条响应的一部分
+   * @returns {Promise<void>}
+   */
+  async readLoop() {
+    const reader = this.socket.readable.getReader();
+    let buffer = new Uint8Array(0);
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        const merged = new Uint8Array(buffer.length + value.length);
+        merged.set(buffer, 0);
+        merged.set(value, buffer.length);
+        buffer = merged;
+
+        let offset = 0;
+        while (buffer.length - offset >= 2) {
+          const length = (buffer[offset] << 8) | buffer[offset + 1];
+          if (buffer.length - offset - 2 < length) break;
+          this.dispatch(buffer.slice(offset + 2, offset + 2 + length));
+          offset += 2 + length;
+        }
+        buffer = buffer.slice(offset);
+      }
+      this.fail(new Error(buffer.length
+        ? "DNS TCP connection closed in the middle of a response"
+        : "DNS TCP connection closed by server"));
+    } catch (error) {
+      this.fail(error);
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * 将响应交给对应的查询
+   * @param {Uint8Array} message - DNS响应报文
+   */
+  dispatch(message) {
+    if (message.length < DnsMessage.HEADER_LENGTH) {
+      this.log("Ignoring short DNS TCP message", message.length);
+      return;
+    }
+    const id = (message[0] << 8) | message[1];
+    const entry = this.pending.get(id);
+    if (!entry) {
+      this.log("Ignoring DNS TCP response with unknown ID", id);
+      return;
+    }
+    this.pending.delete(id);
+    this.completed++;
+    message[0] = entry.id >> 8;
+    message[1] = entry.id & 0xff;
+    entry.resolve(message);
+  }
+
+  /**
+   * 连接异常时结束会话，所有未完成的查询以该错误失败
+   * @param {Error} error - 错误
+   */
+  fail(error) {
+    const wasOpen = !this.closed;
+    this.closed = true;
+    for (const entry of this.pending.values()) {
+      entry.reject(error);
+    }
+    this.pending.clear();
+    if (wasOpen) {
+      this.socket.close().catch(() => {});
+    }
+  }
+
+  /**
+   * 关闭会话：先半关闭写入方向通知服务器不再有查询，然后关闭连接
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    const error = new Error("DNS TCP session closed");
+    for (const entry of this.pending.values()) {
+      entry.reject(error);
+    }
+    this.pending.clear();
+    try {
+      await this.writer.close();
+    } catch (e) {
+      // 写入方向可能已被关闭
+    }
+    try {
+      await this.socket.close();
+    } catch (e) {
+      // 连接可能已被服务器关闭
+    }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,125 @@
+import { DnsMessage } from './message.js';
+
+/**
+ * 上游DNS服务器池
+ * 按选择策略向多个上游发送查询，超时、连接失败或返回SERVFAIL时尝试下一个上游
+ * 选择策略：
+ * - failover: 按配置顺序依次尝试
+ * - random: 随机打乱顺序后依次尝试
+ * - race: 同时查询前两个上游，采用最先返回的有效响应，均失败时继续依次尝试其余上游
+ */
+export class DnsUpstreamPool {
+  // 可用的选择策略
+  static POLICIES = ['failover', 'random', 'race'];
+
+  /**
+   * 构造函数
+   * @param {object} config - 配置对象
+   * @param {Array<object>} upstreams - 上游列表，每一项需包含用于日志的name字段
+   * @param {function(object, Uint8Array): Promise<Uint8Array>} queryServer - 向单个上游发送查询的函数
+   */
+  constructor(config, upstreams, queryServer) {
+    this.upstreams = upstreams;
+    this.queryServer = queryServer;
+    this.policy = String(config.DNS_UPSTREAM_POLICY || 'failover').toLowerCase();
+    if (!DnsUpstreamPool.POLICIES.includes(this.policy)) {
+      throw new Error(`Invalid DNS upstream policy: ${config.DNS_UPSTREAM_POLICY}`);
+    }
+    this.timeout = Number(config.DNS_UPSTREAM_TIMEOUT) || 0;
+    this.log = config.DEBUG_MODE
+      ? (message, data = "") => console.log(`[DEBUG] ${message}`, data)
+      : () => {};
+  }
+
+  /**
+   * 按选择策略查询上游
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {Promise<Uint8Array>} DNS响应报文；所有上游都返回SERVFAIL时返回最后一个SERVFAIL响应
+   */
+  async query(query) {
+    let order = [...this.upstreams];
+    if (this.policy === 'random') {
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    }
+
+    // 最后一次失败的原因，以及最后一个SERVFAIL响应
+    const state = { error: null, servfail: null };
+
+    if (this.policy === 'race' && order.length > 1) {
+      const racers = order.slice(0, 2);
+      order = order.slice(2);
+      try {
+        return await Promise.any(racers.map((upstream) => this.attempt(upstream, query, state)));
+      } catch (error) {
+        this.log("DNS upstream race failed, trying remaining upstreams");
+      }
+    }
+
+    for (const upstream of order) {
+      try {
+        return await this.attempt(upstream, query, state);
+      } catch (error) {
+        // 已在attempt中记录，继续尝试下一个上游
+      }
+    }
+
+    if (state.servfail) return state.servfail;
+    throw state.error || new Error("No DNS upstream configured");
+  }
+
+  /**
+   * 向单个上游发送查询并检查响应
+   * @param {object} upstream - 上游
+   * @param {Uint8Array} query - DNS查询报文
+   * @param {object} state - 记录失败原因的状态对象
+   * @returns {Promise<Uint8Array>} 有效的DNS响应报文
+   */
+  async attempt(upstream, query, state) {
+    try {
+      const answer = await this.withTimeout(this.queryServer(upstream, query), upstream);
+      if (DnsMessage.parse(answer).rcode === DnsMessage.RCODES.SERVFAIL) {
+        state.servfail = answer;
+        throw new Error(`DNS upstream ${upstream.name} returned SERVFAIL`);
+      }
+      return answer;
+    } catch (error) {
+      this.log(`DNS upstream ${upstream.name} failed`, error.message);
+      state.error = error;
+      throw error;
+    }
+  }
+
+  /**
+   * 为Promise添加超时限制
+   * @param {Promise} promise - 原始Promise
+   * @param {object} upstream - 上游（用于错误信息）
+   * @returns {Promise} 带超时的Promise
+   */
+  withTimeout(promise, upstream) {
+    if (!this.timeout) return promise;
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`DNS upstream ${upstream.name} timed out after ${this.timeout}ms`));
+      }, this.timeout);
+    });
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * 解析 "host[:port]" 形式的上游地址，IPv6地址需使用方括号
+   * @param {string} address - 上游地址
+   * @param {number} defaultPort - 默认端口
+   * @returns {object} {hostname, port}
+   */
+  static parseHostPort(address, defaultPort) {
+    const match = address.trim().match(/^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid DNS upstream address: ${address}`);
+    }
+    return { hostname: match[1].replace(/^\[(.*)\]$/, '$1'), port: match[2] ? Number(match[2]) : defaultPort };
+  }
+}
\ No newline at end of file
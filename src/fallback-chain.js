@@ -0,0 +1,197 @@
+import { ConfigManager } from './config.js';
+import { ProxyFactory } from './proxy-factory.js';
+
+/**
+ * 回退链
+ * 按顺序尝试多个代理策略，每一步都有独立的超时时间和触发条件
+ */
+export class FallbackChain {
+  // 可用的触发条件
+  // network: Cloudflare网络限制错误
+  // error: 其他连接错误（例如SOCKS5握手失败）
+  // timeout: 连接或等待响应头超时
+  // 5xx: 上一步返回了5xx响应
+  static TRIGGERS = ['network', 'error', 'timeout', '5xx'];
+
+  /**
+   * 构造函数
+   * @param {object} config - 配置对象
+   * @param {string} primaryStrategy - 主策略
+   * @param {string[]|null} allowedStrategies - 允许使用的策略（令牌权限），null表示不限制
+   */
+  constructor(config, primaryStrategy, allowedStrategies = null) {
+    this.config = config;
+    this.allowedStrategies = allowedStrategies;
+    this.steps = this.parseSteps(primaryStrategy);
+    this.log = config.DEBUG_MODE
+      ? (message, data = "") => console.log(`[DEBUG] ${message}`, data)
+      : () => {};
+  }
+
+  /**
+   * 解析回退链配置
+   * 每一步的格式为 "策略[:超时毫秒][:触发条件+触发条件]"，多个步骤以逗号分隔
+   * @param {string} primaryStrategy - 主策略
+   * @returns {Array<object>} 步骤列表，第一步为主策略
+   */
+  parseSteps(primaryStrategy) {
+    const defaultTimeout = Number(this.config.FALLBACK_TIMEOUT) || 0;
+    const defaultTriggers = ConfigManager.getListValue(this.config, 'FALLBACK_TRIGGERS');
+    const steps = [{ strategy: primaryStrategy.toLowerCase(), timeout: defaultTimeout, triggers: new Set() }];
+
+    let specs = ConfigManager.getListValue(this.config, 'FALLBACK_CHAIN');
+    let triggersForSpec = defaultTriggers;
+    if (!specs.length) {
+      // 未配置回退链时保持原有行为：仅socket策略在Cloudflare网络限制时回退到FALLBACK_PROXY_STRATEGY
+      if (primaryStrategy.toLowerCase() !== 'socket' || !this.config.FALLBACK_PROXY_STRATEGY) {
+        return steps;
+      }
+      specs = [this.config.FALLBACK_PROXY_STRATEGY];
+      triggersForSpec = ['network'];
+    }
+
+    for (const spec of specs) {
+      const [name, timeout, triggers] = spec.split(':').map((s) => s.trim());
+      const strategy = name.toLowerCase();
+      if (!ProxyFactory.HTTP_STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid fallback strategy: ${name}`);
+      }
+      // 同一策略只尝试一次，且不使用令牌无权使用的策略
+      if (steps.some((step) => step.strategy === strategy)) continue;
+      if (this.allowedStrategies && !this.allowedStrategies.includes(strategy)) continue;
+
+      const triggerList = triggers ? triggers.split('+').map((t) => t.trim().toLowerCase()) : triggersForSpec;
+      for (const trigger of triggerList) {
+        if (!FallbackChain.TRIGGERS.includes(trigger)) {
+          throw new Error(`Invalid fallback trigger: ${trigger}`);
+        }
+      }
+      steps.push({
+        strategy,
+        timeout: timeout ? Number(timeout) : defaultTimeout,
+        triggers: new Set(triggerList),
+      });
+    }
+    return steps;
+  }
+
+  /**
+   * 按顺序尝试回退链中的每一步
+   * @param {Request} req - 请求对象
+   * @param {string} dstUrl - 目标URL
+   * @returns {Promise<Response>} 响应对象，通过X-Spectre-Hop头部标明实际使用的策略
+   */
+  async run(req, dstUrl) {
+    // 保留一个未读取过body的请求，每一步使用它的克隆
+    const spare = req;
+    let failure = null;
+
+    for (let i = 0; i < this.steps.length; i++) {
+      const step = this.steps[i];
+      if (failure && !step.triggers.has(failure.kind)) {
+        this.log(`Fallback step ${step.strategy} is not triggered by`, failure.kind);
+        continue;
+      }
+
+      const attempt = i === this.steps.length - 1 ? spare : spare.clone();
+      this.log(`Trying hop ${i} with strategy`, step.strategy);
+      let proxy = null;
+
+      try {
+        // 代理实例的创建也可能失败（例如SOCKS5地址未配置），同样视为该步骤的错误
+        proxy = ProxyFactory.createProxy({ ...this.config, PROXY_STRATEGY: step.strategy });
+        proxy.rethrowErrors = true;
+        // 超时后中止本步骤，关闭已打开的套接字或取消fetch请求，避免连接泄漏或继续向上游写入
+        const controller = new AbortController();
+        proxy.signal = controller.signal;
+        const response = await this.withTimeout(proxy.connectHttp(attempt, dstUrl), step.timeout, step.strategy, controller);
+        if (response.status >= 500 && this.hasLaterStep(i, '5xx')) {
+          this.log(`Hop ${step.strategy} returned status ${response.status}, moving on`);
+          response.body?.cancel();
+          failure = { kind: '5xx', step, index: i, response };
+          continue;
+        }
+        return this.markHop(response, step, i);
+      } catch (error) {
+        const cause = error.cause || error;
+        let kind = 'error';
+        if (error.isTimeout) {
+          kind = 'timeout';
+        } else if (proxy?.isCloudflareNetworkError(cause)) {
+          kind = 'network';
+        }
+        this.log(`Hop ${step.strategy} failed (${kind})`, cause.message);
+        failure = { kind, step, index: i, error, proxy };
+        // 请求本身的错误（例如访问控制拒绝、指定的SOCKS5出口不存在）换用其他策略也不会成功，直接返回
+        if (error.status >= 400 && error.status < 500) break;
+      }
+    }
+
+    // 所有步骤均失败，返回最后一次失败的结果
+    if (failure.response) {
+      return this.markHop(
+        new Response(`Error: all fallback hops failed, last status ${failure.response.status}`, { status: 502 }),
+        failure.step,
+        failure.index
+      );
+    }
+    const { error, proxy } = failure;
+    const context = error.context || `${failure.step.strategy} connection`;
+    const cause = error.cause || error;
+    let response;
+    if (proxy) {
+      proxy.rethrowErrors = false;
+      response = proxy.handleError(cause, context, error.status || 500);
+    } else {
+      response = new Response(`Error ${context.toLowerCase()}: ${cause.message}`, { status: 500 });
+    }
+    return this.markHop(response, failure.step, failure.index);
+  }
+
+  /**
+   * 检查后续步骤中是否有由指定条件触发的步骤
+   * @param {number} index - 当前步骤序号
+   * @param {string} kind - 触发条件
+   * @returns {boolean} 是否存在
+   */
+  hasLaterStep(index, kind) {
+    return this.steps.slice(index + 1).some((step) => step.triggers.has(kind));
+  }
+
+  /**
+   * 为Promise添加超时限制
+   * @param {Promise} promise - 原始Promise
+   * @param {number} timeout - 超时毫秒数，0表示不限制
+   * @param {string} strategy - 策略名称（用于错误信息）
+   * @param {AbortController} controller - 超时时中止的控制器
+   * @returns {Promise} 带超时的Promise
+   */
+  withTimeout(promise, timeout, strategy, controller) {
+    if (!timeout) return promise;
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = Object.assign(new Error(`${strategy} timed out after ${timeout}ms`), { isTimeout: true });
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    });
+    // 超时后原Promise仍可能失败，忽略其结果
+    promise.catch(() => {});
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * 在响应中标记实际使用的回退步骤
+   * @param {Response} response - 响应对象
+   * @param {object} step - 步骤
+   * @param {number} index - 步骤序号，0为主策略
+   * @returns {Response} 带有标记头部的响应
+   */
+  markHop(response, step, index) {
+    const marked = new Response(response.body, response);
+    marked.headers.set('X-Spectre-Hop', step.strategy);
+    marked.headers.set('X-Spectre-Hop-Index', String(index));
+    return marked;
+  }
+}
\ No newline at end of file
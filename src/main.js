@@ -1,5 +1,12 @@
 import { ConfigManager } from './config.js';
 import { ProxyFactory } from './proxy-factory.js';
+import { FallbackChain } from './fallback-chain.js';
+import { AuthManager } from './auth.js';
+import { AccessControl } from './access-control.js';
+import { RedirectHandler } from './redirect.js';
+import { ContentRewriter } from './content-rewriter.js';
+import { ProxiedUrl } from './utils/proxied-url.js';
+import { ObliviousDns } from './dns/odoh.js';
 
 /**
  * ShadowProxy Main
@@ -18,66 +25,330 @@ export class ShadowProxy {
       // 更新配置
       const config = ConfigManager.updateConfigFromEnv(env);
       
-      // 解析请求路径
-      const url = new URL(req.url);
-      const parts = url.pathname.split("/").filter(Boolean);
+      // ODoH目标的密钥配置是公开信息，客户端需要在查询前获取，无需认证
+      if (config.ODOH_PRIVATE_KEY && new URL(req.url).pathname === ObliviousDns.CONFIGS_PATH) {
+        return await ProxyFactory.createProxy({ ...config, PROXY_STRATEGY: 'odoh' }).handleConfigsRequest();
+      }
+      
+      // 验证访问令牌并获取令牌权限，未通过认证的请求将被转发到默认目标
+      // 令牌可以位于路径首段、Authorization/Proxy-Authorization请求头或签名查询参数中
+      let auth = await AuthManager.authenticateRequest(req, config, env);
+      // 正向代理请求的路径属于目标URL，不包含路由信息
+      if (this.isForwardProxyRequest(config, auth)) {
+        auth = { ...auth, parts: [], forward: true };
+      }
+      const { principal, parts } = auth;
+      
+      // 移除已用于认证的请求头，避免令牌被转发到目标服务器
+      if (auth.credentialHeader) {
+        const headers = new Headers(req.headers);
+        headers.delete(auth.credentialHeader);
+        req = new Request(req, { headers });
+      }
       
       // 检查是否为DNS查询请求
-      if (parts.length >= 3 && parts[1] === 'dns') {
-        const auth = parts[0];
-        const dnsType = parts[2]; // DNS类型: DOH/DOT
-        const server = parts[3]; // 可选服务器地址，否则使用默认DOH/DOT服务器
+      if (principal && parts.length >= 2 && parts[0] === 'dns') {
+        const dnsType = parts[1]; // DNS类型: DOH/DOT/ODOH/SOCKS5
+        const server = parts[2]; // 可选服务器地址，否则使用默认DOH/DOT服务器
+        
+        if (!principal.dns) {
+          return new Response("DNS access is not allowed for this token", { status: 403 });
+        }
         
-        // 验证AuthToken
-        if (auth === config.AUTH_TOKEN) {
-          // 根据DNS类型选择代理策略
-          let proxyStrategy = config.PROXY_STRATEGY;
-          if (dnsType === 'doh') {
-            proxyStrategy = 'doh';
-          } else if (dnsType === 'dot') {
-            proxyStrategy = 'dot';
-          }
-          
-          // 更新配置以使用相应的DNS代理策略
-          const dnsConfig = { ...config, PROXY_STRATEGY: proxyStrategy };
-          const proxy = ProxyFactory.createProxy(dnsConfig);
-          
-          // 处理DNS查询请求
-          return await proxy.handleDnsQuery(req);
+        // 根据DNS类型选择代理策略
+        let proxyStrategy = config.PROXY_STRATEGY;
+        if (dnsType === 'doh') {
+          proxyStrategy = 'doh';
+        } else if (dnsType === 'dot') {
+          proxyStrategy = 'dot';
+        } else if (dnsType === 'odoh') {
+          proxyStrategy = 'odoh';
+        } else if (dnsType === 'socks5') {
+          proxyStrategy = 'dns-socks5';
         }
+        
+        // 更新配置以使用相应的DNS代理策略
+        const dnsConfig = { ...config, PROXY_STRATEGY: proxyStrategy };
+        const proxy = ProxyFactory.createProxy(dnsConfig);
+        
+        // 处理DNS查询请求
+        return await proxy.handleDnsQuery(req);
+      }
+      
+      // 生成签名URL：/<token>/sign/<有效秒数>[.<METHOD>][.p<n>]/<scheme>/<host>/<path>
+      if (principal && parts[0] === 'sign') {
+        return await this.handleSignRequest(req, config, principal, parts.slice(1));
+      }
+      
+      // Workers收不到CONNECT请求，HTTPS需要由本地客户端转换为带X-Spectre-Connect请求头的WebSocket请求
+      if (principal && req.method === 'CONNECT') {
+        return new Response("CONNECT is not supported, use a WebSocket request with the X-Spectre-Connect header", { status: 405 });
+      }
+      
+      // 选择本次请求使用的代理策略
+      const strategy = this.selectStrategy(req, config, auth);
+      if (!strategy) {
+        return new Response("Requested proxy strategy is not allowed", { status: 403 });
+      }
+      
+      // 创建代理实例
+      const proxy = ProxyFactory.createProxy({ ...config, PROXY_STRATEGY: strategy });
+      
+      // TCP隧道：/<token>/tcp/<host>/<port>
+      if (principal && this.getDestinationParts(parts)[0] === 'tcp') {
+        return await this.handleTcpTunnel(req, proxy, strategy, principal, this.getDestinationParts(parts));
       }
       
-      // 创建默认代理实例
-      const proxy = ProxyFactory.createProxy(config);
+      // 本地客户端将 CONNECT host:port 映射为带X-Spectre-Connect: host:port请求头的WebSocket请求
+      const connectTarget = req.headers.get("X-Spectre-Connect");
+      if (principal && connectTarget) {
+        return await this.handleTcpTunnel(req, proxy, strategy, principal, ['tcp', ...this.parseAuthority(connectTarget)]);
+      }
       
       // 解析目标URL
-      const dstUrl = this.parseDestinationUrl(req, config);
+      const dstUrl = this.parseDestinationUrl(req, config, auth);
+      const isWebSocket = req.headers.get("Upgrade")?.toLowerCase() === "websocket";
+
+      // 检查目标地址是否符合访问控制规则
+      const denied = AccessControl.checkUrl(dstUrl, config);
+      if (denied) {
+        return new Response(`Destination is not allowed: ${denied}`, { status: 403 });
+      }
+
+      // 检查令牌对目标主机和WebSocket的访问权限
+      if (principal) {
+        if (isWebSocket && !principal.websocket) {
+          return new Response("WebSocket access is not allowed for this token", { status: 403 });
+        }
+        if (!AuthManager.canAccessHost(principal, new URL(dstUrl).hostname)) {
+          return new Response("Destination host is not allowed for this token", { status: 403 });
+        }
+      }
+      
+      // WebSocket请求直接使用所选策略连接目标服务器
+      if (isWebSocket) {
+        return await proxy.connect(req, dstUrl);
+      }
       
-      // 使用代理连接目标服务器
-      return await proxy.connect(req, dstUrl);
+      // HTTP请求经过回退链，按顺序尝试主策略和回退策略，再根据REDIRECT_MODE处理重定向
+      const proxiedUrl = this.getProxiedUrl(req, auth);
+      const redirects = new RedirectHandler(config, principal, proxiedUrl);
+      redirects.prepare(req);
+      let response = await new FallbackChain(config, strategy, principal?.strategies).run(req, dstUrl);
+      response = await redirects.handle(response, req, dstUrl);
+      
+      // 通过 /<token>/rewrite/... 请求时改写响应中的URL，跟随重定向后以最终URL为基准
+      if (proxiedUrl && this.isRewriteRequested(parts)) {
+        const baseUrl = response.headers.get('X-Spectre-Final-Url') || dstUrl;
+        response = new ContentRewriter(config, proxiedUrl).rewrite(response, baseUrl);
+      }
+      return response;
     } catch (error) {
       console.error("ShadowProxy error:", error);
       return new Response(`Error: ${error.message}`, { status: 500 });
     }
   }
 
+  /**
+   * 选择代理策略
+   * 客户端可通过路径段 /<token>/via/<strategy>/... 或请求头 X-Spectre-Strategy 按请求指定策略，
+   * 路径段优先。所选策略必须在令牌的strategies中，令牌未限制策略时必须在ALLOWED_STRATEGIES中
+   * @param {Request} req - 请求对象
+   * @param {object} config - 配置对象
+   * @param {object} auth - 认证结果
+   * @returns {string|null} 策略名称，不允许时返回null
+   */
+  static selectStrategy(req, config, auth) {
+    const { principal, parts } = auth;
+    // 未通过认证的请求不允许选择策略
+    if (!principal) {
+      return config.PROXY_STRATEGY;
+    }
+    
+    const defaultStrategy = config.PROXY_STRATEGY.toLowerCase();
+    const allowed = principal.strategies ?? [
+      defaultStrategy,
+      ...ConfigManager.getListValue(config, 'ALLOWED_STRATEGIES').map((s) => s.toLowerCase()),
+    ];
+    
+    const requested = (parts[0] === 'via' ? parts[1] : req.headers.get("X-Spectre-Strategy"))?.toLowerCase();
+    if (!requested) {
+      // 令牌无权使用默认策略时，使用令牌允许的第一个策略
+      return allowed.includes(defaultStrategy) ? config.PROXY_STRATEGY : (allowed[0] ?? null);
+    }
+    
+    if (!ProxyFactory.HTTP_STRATEGIES.includes(requested) || !allowed.includes(requested)) {
+      if (config.DEBUG_MODE) {
+        console.log("Rejected proxy strategy", requested);
+      }
+      return null;
+    }
+    
+    return requested;
+  }
+
+  /**
+   * 处理TCP隧道请求，通过所选策略连接目标并在WebSocket和套接字之间转发原始字节
+   * 目标需要通过访问控制规则（协议为 "tcp"，默认不在ALLOWED_SCHEMES中）
+   * @param {Request} req - 请求对象
+   * @param {BaseProxy} proxy - 所选策略的代理实例
+   * @param {string} strategy - 策略名称
+   * @param {object} principal - 令牌权限
+   * @param {string[]} destination - 以 "tcp" 开头的路径段
+   * @returns {Promise<Response>} 响应对象
+   */
+  static async handleTcpTunnel(req, proxy, strategy, principal, destination) {
+    const [, rawHost, rawPort] = destination;
+    const hostname = decodeURIComponent(rawHost || '').replace(/^\[(.*)\]$/, '$1');
+    const port = Number(rawPort);
+    if (!hostname || destination.length !== 3 || !Number.isInteger(port) || port < 1 || port > 65535) {
+      return new Response("Invalid TCP tunnel destination, expected /tcp/<host>/<port>", { status: 400 });
+    }
+    if (!ProxyFactory.SOCKET_STRATEGIES.includes(strategy.toLowerCase())) {
+      return new Response(`TCP tunnel is not supported by the ${strategy} strategy`, { status: 400 });
+    }
+    if (!principal.websocket) {
+      return new Response("WebSocket access is not allowed for this token", { status: 403 });
+    }
+    if (!AuthManager.canAccessHost(principal, hostname)) {
+      return new Response("Destination host is not allowed for this token", { status: 403 });
+    }
+    return await proxy.connectTcpTunnel(req, hostname, port);
+  }
+
+  /**
+   * 为令牌可访问的目标生成签名URL
+   * 参数段与签名URL相同（见AuthManager.parseSignedParams），但第一项为有效秒数而非过期时间；
+   * 签名URL继承令牌的策略和WebSocket限制，只能进一步收窄，且不会晚于令牌本身过期
+   * @param {Request} req - 请求对象
+   * @param {object} config - 配置对象
+   * @param {object} principal - 令牌权限
+   * @param {string[]} parts - sign之后的路径段
+   * @returns {Promise<Response>} JSON响应 {url, expires}
+   */
+  static async handleSignRequest(req, config, principal, parts) {
+    if (!config.SIGNED_URL_SECRET) {
+      return new Response("Signed URLs are not enabled", { status: 404 });
+    }
+    const [params = '', scheme, host] = parts;
+    const options = AuthManager.parseSignedParams(params);
+    let valid = !!options && Number.isInteger(options.time) && options.time > 0 && !!scheme && !!host;
+    if (valid && options.prefixSegments !== null) {
+      // 与验证时的规则一致：至少包含scheme和host，且不超过目标的路径段数
+      valid = options.prefixSegments >= 2 && options.prefixSegments <= parts.length - 1;
+    }
+    if (valid && options.strategies) {
+      valid = options.strategies.every((s) => ProxyFactory.HTTP_STRATEGIES.includes(s));
+    }
+    if (!valid) {
+      return new Response("Invalid sign request, expected /sign/<seconds>[.<METHOD>][.p<n>][.s-<strategy>+...][.nows]/<scheme>/<host>/<path>", { status: 400 });
+    }
+
+    // 签名URL的权限不能超过令牌本身
+    if (options.strategies && principal.strategies && !options.strategies.every((s) => principal.strategies.includes(s))) {
+      return new Response("Requested strategies are not allowed for this token", { status: 403 });
+    }
+    const url = new URL(req.url);
+    const dstUrl = `${scheme}://${parts.slice(2).join("/")}${AuthManager.stripAuthParams(url).search}`;
+    if (!AuthManager.canAccessHost(principal, new URL(dstUrl).hostname)) {
+      return new Response("Destination host is not allowed for this token", { status: 403 });
+    }
+    let expires = Math.floor(Date.now() / 1000) + options.time;
+    if (principal.expires !== null && principal.expires !== undefined) {
+      expires = Math.min(expires, Math.floor(principal.expires / 1000));
+    }
+    const path = await AuthManager.createSignedPath(dstUrl, {
+      secret: config.SIGNED_URL_SECRET,
+      expires,
+      method: options.method,
+      prefixSegments: options.prefixSegments,
+      strategies: options.strategies ?? principal.strategies,
+      websocket: options.websocket && principal.websocket,
+    });
+    return new Response(JSON.stringify({ url: `${url.origin}${path}`, expires }), {
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+
+
+  /**
+   * 检查是否为绝对形式的正向代理请求
+   * 启用FORWARD_PROXY时，通过Proxy-Authorization认证的请求来自配置了HTTP_PROXY的客户端，请求URL即为目标
+   * @param {object} config - 配置对象
+   * @param {object} auth - 认证结果
+   * @returns {boolean} 是否为正向代理请求
+   */
+  static isForwardProxyRequest(config, auth) {
+    const enabled = config.FORWARD_PROXY === true || String(config.FORWARD_PROXY).toLowerCase() === 'true';
+    return enabled && !!auth.principal && auth.credentialHeader === 'Proxy-Authorization';
+  }
+
+  /**
+   * 解析CONNECT形式的目标地址 host:port，IPv6地址使用方括号
+   * @param {string} authority - 目标地址
+   * @returns {string[]} [主机, 端口]，格式无效时返回空数组
+   */
+  static parseAuthority(authority) {
+    const match = authority.trim().match(/^(\[[^\]]+\]|[^:\[\]]+):(\d+)$/);
+    return match ? [match[1], match[2]] : [];
+  }
+
+  /**
+   * 获取以目标协议开头的路径段
+   * 跳过按请求选择策略的路径段 /via/<strategy> 和启用内容改写的路径段 /rewrite（须位于via之后）
+   * @param {string[]} parts - 认证之后的路径段
+   * @returns {string[]} 以目标协议开头的路径段
+   */
+  static getDestinationParts(parts) {
+    const rest = parts[0] === 'via' ? parts.slice(2) : parts;
+    return rest[0] === 'rewrite' ? rest.slice(1) : rest;
+  }
+
+  /**
+   * 检查请求是否通过 /rewrite 路径段启用了内容改写
+   * @param {string[]} parts - 认证之后的路径段
+   * @returns {boolean} 是否启用内容改写
+   */
+  static isRewriteRequested(parts) {
+    return (parts[0] === 'via' ? parts[2] : parts[0]) === 'rewrite';
+  }
+
+  /**
+   * 创建代理URL构造器，路由前缀为请求路径中目标协议之前的部分（令牌、签名或via路径段）
+   * @param {Request} req - 请求对象
+   * @param {object} auth - 认证结果
+   * @returns {ProxiedUrl|null} 代理URL构造器，请求未指定目标时返回null
+   */
+  static getProxiedUrl(req, auth) {
+    const rest = this.getDestinationParts(auth.parts);
+    if (!auth.principal || !rest.length) return null;
+    const url = new URL(req.url);
+    const segments = url.pathname.split("/").filter(Boolean);
+    const prefix = segments.slice(0, segments.length - rest.length);
+    return new ProxiedUrl(url.origin, prefix.length ? `/${prefix.join("/")}` : "");
+  }
+
   /**
    * 解析目标URL
    * @param {Request} req - 请求对象
    * @param {object} config - 配置对象
+   * @param {object} auth - 认证结果
    * @returns {string} 目标URL
    */
-  static parseDestinationUrl(req, config) {
-    const url = new URL(req.url);
-    const parts = url.pathname.split("/").filter(Boolean);
-    const [auth, protocol, ...path] = parts;
+  static parseDestinationUrl(req, config, auth) {
+    const { principal, parts } = auth;
+    // 移除用于认证的签名查询参数
+    const url = AuthManager.stripAuthParams(new URL(req.url));
+    const [protocol, ...path] = this.getDestinationParts(parts);
 
-    // 检查authtoken
-    const isValid = auth === config.AUTH_TOKEN;
-    
     let dstUrl = config.DEFAULT_DST_URL;
 
-    if (isValid && protocol) {
+    // 正向代理请求的URL即为目标
+    if (principal && auth.forward) {
+      dstUrl = url.href;
+    }
+
+    if (principal && protocol) {
       // Handle cases where the protocol from the path might be "https:" or "https"
       if (protocol.endsWith(':')) {
         dstUrl = `${protocol}//${path.join("/")}${url.search}`;
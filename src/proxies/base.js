@@ -1,3 +1,6 @@
+import { IPUtils } from '../utils/ip.js';
+import { AccessControl } from '../access-control.js';
+
 /**
  * 基础代理类
  * 所有代理策略都应继承此类
@@ -11,6 +14,10 @@ export class BaseProxy {
     this.config = config;
     this.encoder = new TextEncoder();
     this.decoder = new TextDecoder();
+    // 是否将连接错误抛出给调用方处理，由回退链设置
+    this.rethrowErrors = false;
+    // 回退链步骤超时时中止的信号，中止后关闭本步骤打开的套接字并取消fetch请求
+    this.signal = null;
     
     // 定义调试日志输出函数
     this.log = config.DEBUG_MODE
@@ -48,6 +55,15 @@ export class BaseProxy {
     throw new Error("connectHttp method must be implemented by subclass");
   }
 
+  /**
+   * 建立到目标服务器的套接字连接（基于套接字的策略实现）
+   * @param {object} target - resolveTarget返回的目标信息
+   * @returns {Promise<Socket>} Socket对象，HTTPS/WSS目标应已完成TLS握手
+   */
+  async openSocket(target) {
+    throw new Error("openSocket method must be implemented by subclass");
+  }
+
   /**
    * 处理DNS查询请求
    * @param {Request} req - 请求对象
@@ -58,8 +74,28 @@ export class BaseProxy {
     return new Response("DNS query handling not implemented for this proxy type", { status: 501 });
   }
 
+  /**
+   * 在signal中止时关闭套接字
+   * @param {Socket} socket - Socket对象
+   * @returns {Socket} 原Socket对象
+   */
+  closeOnAbort(socket) {
+    const { signal } = this;
+    if (!signal) return socket;
+    const close = () => socket.close();
+    if (signal.aborted) {
+      close();
+    } else {
+      signal.addEventListener("abort", close, { once: true });
+      const release = () => signal.removeEventListener("abort", close);
+      socket.closed?.then(release, release);
+    }
+    return socket;
+  }
+
   /**
    * 错误处理方法
+   * 当rethrowErrors为true时（例如处于回退链中），抛出带有上下文的错误而不是返回错误响应
    * @param {Error} error - 错误对象
    * @param {string} context - 错误上下文描述
    * @param {number} status - HTTP状态码
@@ -67,6 +103,9 @@ export class BaseProxy {
    */
   handleError(error, context, status = 500) {
     this.log(`${context} failed`, error.message);
+    if (this.rethrowErrors) {
+      throw Object.assign(new Error(`${context} failed: ${error.message}`, { cause: error }), { context, status });
+    }
     return new Response(`Error ${context.toLowerCase()}: ${error.message}`, { status });
   }
 
@@ -80,6 +119,18 @@ export class BaseProxy {
     return false;
   }
 
+  /**
+   * 检查目标地址是否符合访问控制规则
+   * 每个策略在连接前都应调用，确保规则对所有策略一致生效
+   * @param {string} dstUrl - 目标URL
+   * @returns {Response|null} 拒绝访问时返回错误响应，允许访问时返回null
+   */
+  checkDestination(dstUrl) {
+    const denied = AccessControl.checkUrl(dstUrl, this.config);
+    if (!denied) return null;
+    return this.handleError(new Error(denied), "Destination access check", 403);
+  }
+
   /**
    * 通用的HTTP代理连接方法
    * @param {Request} req - 请求对象
@@ -89,6 +140,9 @@ export class BaseProxy {
    * @returns {Promise<Response>} 响应对象
    */
   async connectHttpViaProxy(req, dstUrl, proxyUrl, proxyType) {
+    const denied = this.checkDestination(dstUrl);
+    if (denied) return denied;
+
     const targetUrl = new URL(dstUrl);
     const proxyUrlObj = new URL(proxyUrl);
     proxyUrlObj.searchParams.set('target', dstUrl);
@@ -105,6 +159,7 @@ export class BaseProxy {
         method: req.method,
         headers: cleanedHeaders,
         body: req.body,
+        signal: this.signal,
       });
       
       this.log(`Using ${proxyType} proxy to connect to`, dstUrl);
@@ -121,8 +176,8 @@ export class BaseProxy {
    * @returns {Headers} 过滤后的HTTP头
    */
   filterHeaders(headers) {
-    // 过滤不应转发的HTTP头（忽略以下头部：host、accept-encoding、cf-*、cdn-*、referer、referrer）
-    const HEADER_FILTER_RE = /^(host|accept-encoding|cf-|cdn-|referer|referrer)/i;
+    // 过滤不应转发的HTTP头（忽略以下头部：host、accept-encoding、cf-*、cdn-*、referer、referrer、x-spectre-*、proxy-authorization、proxy-connection）
+    const HEADER_FILTER_RE = /^(host|accept-encoding|cf-|cdn-|referer|referrer|x-spectre-|proxy-authorization|proxy-connection)/i;
     const cleanedHeaders = new Headers();
     
     for (const [k, v] of headers) {
@@ -134,6 +189,277 @@ export class BaseProxy {
     return cleanedHeaders;
   }
 
+  /**
+   * 解析目标地址
+   * 统一处理端口、IPv6地址和URL中的用户信息，供所有基于套接字的策略使用
+   * @param {string} dstUrl - 目标URL
+   * @returns {object} 目标信息
+   */
+  resolveTarget(dstUrl) {
+    const url = new URL(dstUrl);
+    const secure = url.protocol === "https:" || url.protocol === "wss:";
+    // URL对象中的IPv6地址带有方括号，建立连接时需要去除
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, "$1");
+    let addressType = 2; // 域名
+    if (IPUtils.isIPv4(hostname)) {
+      addressType = 1;
+    } else if (IPUtils.isIPv6(hostname)) {
+      addressType = 3;
+    }
+
+    // URL中的用户信息转换为Basic认证头部，不出现在请求行中
+    let authorization = null;
+    if (url.username || url.password) {
+      const credentials = `${decodeURIComponent(url.username)}:${decodeURIComponent(url.password)}`;
+      authorization = `Basic ${btoa(String.fromCharCode(...this.encoder.encode(credentials)))}`;
+    }
+
+    return {
+      url,
+      secure,
+      hostname,
+      addressType,
+      port: url.port ? Number(url.port) : (secure ? 443 : 80),
+      // url.host仅在非默认端口时包含端口，IPv6地址保留方括号，符合Host头部的格式
+      hostHeader: url.host,
+      path: `${url.pathname || "/"}${url.search}`,
+      authorization,
+    };
+  }
+
+  /**
+   * 构建HTTP/1.1请求头部
+   * @param {string} method - 请求方法
+   * @param {object} target - resolveTarget返回的目标信息
+   * @param {Headers} headers - 已清理的请求头
+   * @returns {Uint8Array} 请求行和头部
+   */
+  buildRequestHead(method, target, headers) {
+    headers.set("Host", target.hostHeader);
+    if (target.authorization && !headers.has("Authorization")) {
+      headers.set("Authorization", target.authorization);
+    }
+    const head =
+      `${method} ${target.path} HTTP/1.1\r\n` +
+      Array.from(headers.entries())
+        .map(([k, v]) => `${k}: ${v}`)
+        .join("\r\n") +
+      "\r\n\r\n";
+    this.log("Sending request", head);
+    return this.encoder.encode(head);
+  }
+
+  /**
+   * 通过已建立的套接字发送HTTP请求并解析响应
+   * @param {Socket} socket - 到目标服务器的套接字
+   * @param {Request} req - 请求对象
+   * @param {object} target - resolveTarget返回的目标信息
+   * @returns {Promise<Response>} 响应对象
+   */
+  async sendHttpRequest(socket, req, target) {
+    // 清理头部信息
+    const cleanedHeaders = this.filterHeaders(req.headers);
+    cleanedHeaders.delete("transfer-encoding");
+    
+    // 对于标准HTTP请求：禁用压缩
+    cleanedHeaders.set("accept-encoding", "identity");
+    // 每个请求使用独立的连接，响应结束后由服务器关闭连接
+    cleanedHeaders.set("Connection", "close");
+    // 请求体长度未知时使用分块传输
+    const chunked = Boolean(req.body) && !cleanedHeaders.has("content-length");
+    if (chunked) {
+      cleanedHeaders.set("Transfer-Encoding", "chunked");
+    }
+
+    this.closeOnAbort(socket);
+    const writer = socket.writable.getWriter();
+    await writer.write(this.buildRequestHead(req.method, target, cleanedHeaders));
+    
+    // 如果有请求体，将其转发到目标服务器
+    if (req.body) {
+      this.log("Forwarding request body");
+      const reader = req.body.getReader();
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        if (!chunked) {
+          await writer.write(value);
+        } else if (value.length) {
+          await writer.write(this.concatUint8Arrays(
+            this.encoder.encode(`${value.length.toString(16)}\r\n`),
+            value,
+            this.encoder.encode("\r\n")
+          ));
+        }
+      }
+      if (chunked) {
+        await writer.write(this.encoder.encode("0\r\n\r\n"));
+      }
+    }
+    writer.releaseLock();
+    
+    // 解析并返回目标服务器的响应
+    return await this.parseResponse(socket.readable.getReader(), { method: req.method, socket });
+  }
+
+  /**
+   * 通过已建立的套接字完成WebSocket握手，并在客户端和目标服务器之间中继帧
+   * @param {Socket} socket - 到目标服务器的套接字
+   * @param {Request} req - 请求对象
+   * @param {object} target - resolveTarget返回的目标信息
+   * @returns {Promise<Response>} 101响应对象
+   */
+  async upgradeWebSocket(socket, req, target) {
+    // 生成WebSocket握手所需的密钥
+    const key = this.generateWebSocketKey();
+
+    // 清理头部信息，中继不处理压缩扩展，因此不协商扩展
+    const cleanedHeaders = this.filterHeaders(req.headers);
+    cleanedHeaders.delete("sec-websocket-extensions");
+    
+    // 构建握手所需的HTTP头部
+    cleanedHeaders.set('Connection', 'Upgrade');
+    cleanedHeaders.set('Upgrade', 'websocket');
+    cleanedHeaders.set('Sec-WebSocket-Version', '13');
+    cleanedHeaders.set('Sec-WebSocket-Key', key);
+
+    const writer = socket.writable.getWriter();
+    await writer.write(this.buildRequestHead("GET", target, cleanedHeaders));
+  
+    const reader = socket.readable.getReader();
+    const handshake = await this.readResponseHead(reader);
+    this.log("Received handshake response", `${handshake.status} ${handshake.statusText}`);
+    
+    // 验证握手响应是否表明101 Switching Protocols状态
+    if (
+      handshake.status !== 101 ||
+      handshake.headers.get("upgrade")?.toLowerCase() !== "websocket"
+    ) {
+      throw new Error(`WebSocket handshake failed: ${handshake.status} ${handshake.statusText}`);
+    }
+  
+    // 创建内部WebSocketPair
+    const webSocketPair = new WebSocketPair();
+    const client = webSocketPair[0];
+    const server = webSocketPair[1];
+    client.accept();
+    
+    // 在客户端和远程套接字之间建立双向帧中继
+    // 握手响应之后已读取的数据属于第一个WebSocket帧，需要一并交给帧解析器
+    this.relayWebSocketFrames(client, socket, writer, reader, handshake.rest);
+    const responseHeaders = new Headers();
+    const protocol = handshake.headers.get("sec-websocket-protocol");
+    if (protocol) {
+      responseHeaders.set("Sec-WebSocket-Protocol", protocol);
+    }
+    return new Response(null, { status: 101, webSocket: server, headers: responseHeaders });
+  }
+
+  /**
+   * 建立TCP隧道：通过本策略连接目标主机和端口，在客户端WebSocket和远程套接字之间原样转发字节，不做HTTP封装
+   * @param {Request} req - 请求对象（必须是WebSocket升级请求）
+   * @param {string} hostname - 目标主机名或IP地址
+   * @param {number} port - 目标端口
+   * @returns {Promise<Response>} 101响应对象
+   */
+  async connectTcpTunnel(req, hostname, port) {
+    if (req.headers.get("Upgrade")?.toLowerCase() !== "websocket") {
+      return new Response("TCP tunnel requires a WebSocket connection", { status: 426, headers: { Upgrade: "websocket" } });
+    }
+    const denied = AccessControl.check("tcp", hostname, port, this.config);
+    if (denied) {
+      return this.handleError(new Error(denied), "Destination access check", 403);
+    }
+
+    const host = IPUtils.isIPv6(hostname) ? `[${hostname}]` : hostname;
+    const target = this.resolveTarget(`tcp://${host}:${port}`);
+    let socket;
+    try {
+      socket = await this.openSocket(target);
+      // connect()在首次读写时才真正建立连接，等待连接成功后再接受WebSocket
+      await socket.opened;
+    } catch (error) {
+      return this.handleError(error, "TCP tunnel connection", 502);
+    }
+    this.log("TCP tunnel opened", `${host}:${port}`);
+
+    const webSocketPair = new WebSocketPair();
+    const client = webSocketPair[0];
+    const server = webSocketPair[1];
+    client.accept();
+    this.relayTcpStream(client, socket);
+    return new Response(null, { status: 101, webSocket: server });
+  }
+
+  /**
+   * 在客户端WebSocket和远程套接字之间双向转发原始字节
+   * 客户端的文本消息按UTF-8编码后发送；远程数据以二进制消息发送给客户端
+   * @param {WebSocket} ws - WebSocket对象
+   * @param {Socket} socket - Socket对象
+   */
+  relayTcpStream(ws, socket) {
+    const writer = socket.writable.getWriter();
+    let closed = false;
+    // 串行化写入，保证数据按顺序发送到远程套接字
+    let writeChain = Promise.resolve();
+    const closeClient = (code, reason) => {
+      try {
+        ws.close(code, reason);
+      } catch (e) {
+        this.log("Client WebSocket already closed", e);
+      }
+    };
+
+    ws.addEventListener("message", (event) => {
+      let data;
+      if (typeof event.data === "string") {
+        data = this.encoder.encode(event.data);
+      } else if (event.data instanceof ArrayBuffer) {
+        data = new Uint8Array(event.data);
+      } else {
+        data = new Uint8Array(event.data.buffer, event.data.byteOffset, event.data.byteLength);
+      }
+      writeChain = writeChain
+        .then(() => writer.write(data))
+        .catch((e) => {
+          this.log("Remote write error", e);
+          if (!closed) {
+            closed = true;
+            closeClient(1011, "Remote write failed");
+            socket.close();
+          }
+        });
+    });
+
+    // 客户端关闭时，写完已收到的数据后关闭套接字
+    ws.addEventListener("close", async () => {
+      if (closed) return;
+      closed = true;
+      await writeChain;
+      socket.close();
+    });
+
+    (async () => {
+      const reader = socket.readable.getReader();
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          ws.send(value);
+        }
+        if (!closed) closeClient(1000, "Remote connection closed");
+      } catch (e) {
+        this.log("Error reading from remote socket", e);
+        if (!closed) closeClient(1011, e.message);
+      } finally {
+        closed = true;
+        await writeChain;
+        writer.releaseLock();
+        socket.close();
+      }
+    })();
+  }
+
   /**
    * 生成WebSocket握手所需的随机Sec-WebSocket-Key
    * @returns {string} WebSocket密钥
@@ -146,87 +472,145 @@ export class BaseProxy {
 
   /**
    * 在客户端和远程套接字之间双向中继WebSocket帧
+   * 文本帧与二进制帧分别保持原有类型，Ping由代理代为应答，关闭码和原因双向传递
    * @param {WebSocket} ws - WebSocket对象
    * @param {Socket} socket - Socket对象
    * @param {WritableStreamDefaultWriter} writer - 写入器
    * @param {ReadableStreamDefaultReader} reader - 读取器
+   * @param {Uint8Array} initialData - 握手响应之后已读取但尚未处理的数据
    */
-  relayWebSocketFrames(ws, socket, writer, reader) {
-    // 监听来自客户端的消息，将其打包成帧并发送到远程套接字
-    ws.addEventListener("message", async (event) => {
-      let payload;
+  relayWebSocketFrames(ws, socket, writer, reader, initialData = new Uint8Array()) {
+    let closed = false;
+    // 串行化写入，保证帧按顺序发送到远程套接字
+    let writeChain = Promise.resolve();
+    const sendFrame = (opcode, payload) => {
+      writeChain = writeChain
+        .then(() => writer.write(this.packFrame(opcode, payload)))
+        .catch((e) => this.log("Remote write error", e));
+      return writeChain;
+    };
+    const closeClient = (code, reason) => {
+      try {
+        if (this.isSendableCloseCode(code)) {
+          ws.close(code, reason);
+        } else {
+          ws.close();
+        }
+      } catch (e) {
+        this.log("Client WebSocket already closed", e);
+      }
+    };
+
+    // 监听来自客户端的消息，按原始类型打包成帧并发送到远程套接字
+    ws.addEventListener("message", (event) => {
       if (typeof event.data === "string") {
-        payload = this.encoder.encode(event.data);
+        sendFrame(0x1, this.encoder.encode(event.data));
       } else if (event.data instanceof ArrayBuffer) {
-        payload = new Uint8Array(event.data);
+        sendFrame(0x2, new Uint8Array(event.data));
       } else {
-        payload = event.data;
-      }
-      const frame = this.packTextFrame(payload);
-      try {
-        await writer.write(frame);
-      } catch (e) {
-        this.log("Remote write error", e);
+        sendFrame(0x2, new Uint8Array(event.data.buffer, event.data.byteOffset, event.data.byteLength));
       }
     });
-    
+
+    // 当客户端WebSocket关闭时，向远程发送关闭帧后再关闭套接字
+    ws.addEventListener("close", async (event) => {
+      if (closed) return;
+      closed = true;
+      await sendFrame(0x8, this.packClosePayload(event.code, event.reason));
+      socket.close();
+    });
+
     // 异步中继从远程接收的WebSocket帧到客户端
     (async () => {
-      const frameReader = new this.SocketFramesReader(reader, this);
+      const frameReader = new this.SocketFramesReader(reader, this, initialData);
+      const textDecoder = new TextDecoder("utf-8", { fatal: true });
       try {
         while (true) {
           const frame = await frameReader.nextFrame();
-          if (!frame) break;
+          if (!frame) {
+            if (!closed) closeClient(1001, "Remote connection closed");
+            break;
+          }
           // 根据操作码处理数据帧
           switch (frame.opcode) {
-            case 1: // 文本帧
-            case 2: // 二进制帧
+            case 0x1: { // 文本帧
+              let text;
+              try {
+                text = textDecoder.decode(frame.payload);
+              } catch (e) {
+                throw Object.assign(new Error("Invalid UTF-8 in text frame"), { closeCode: 1007 });
+              }
+              ws.send(text);
+              break;
+            }
+            case 0x2: // 二进制帧
               ws.send(frame.payload);
               break;
-            case 8: // 关闭帧
-              this.log("Received Close frame, closing WebSocket");
-              ws.close(1000);
+            case 0x8: { // 关闭帧：回应相同的关闭码并将关闭码和原因传递给客户端
+              const { code, reason } = this.parseClosePayload(frame.payload);
+              this.log(`Received Close frame (${code}), closing WebSocket`);
+              if (!closed) {
+                closed = true;
+                await sendFrame(0x8, this.packClosePayload(code));
+                closeClient(code, reason);
+              }
               return;
+            }
+            case 0x9: // Ping帧：Workers无法向客户端转发Ping，由代理直接应答Pong
+              this.log("Received Ping frame, answering with Pong");
+              sendFrame(0xa, frame.payload);
+              break;
+            case 0xa: // Pong帧
+              this.log("Received Pong frame");
+              break;
             default:
               this.log(`Received unknown frame type, Opcode: ${frame.opcode}`);
           }
         }
       } catch (e) {
         this.log("Error reading remote frame", e);
+        if (!closed) {
+          closed = true;
+          // 协议错误使用1002，无效的UTF-8文本使用1007，帧或消息过大使用1009，其余错误使用1011
+          const code = e.closeCode || 1011;
+          await sendFrame(0x8, this.packClosePayload(code));
+          closeClient(code, e.message);
+        }
       } finally {
-        ws.close();
+        closed = true;
+        await writeChain;
         writer.releaseLock();
         socket.close();
       }
     })();
-    
-    // 当客户端WebSocket关闭时，也关闭远程套接字连接
-    ws.addEventListener("close", () => socket.close());
   }
 
   /**
-   * 将文本消息打包成WebSocket帧
+   * 将载荷打包成WebSocket帧（客户端到服务器方向，带掩码）
+   * 支持7位、16位和64位三种载荷长度编码
+   * @param {number} opcode - 操作码
    * @param {Uint8Array} payload - 载荷
+   * @param {boolean} fin - 是否为消息的最后一帧
    * @returns {Uint8Array} 打包后的帧
    */
-  packTextFrame(payload) {
-    const FIN_AND_OP = 0x81; // FIN标志和文本帧操作码
+  packFrame(opcode, payload, fin = true) {
     const maskBit = 0x80; // 掩码位（客户端发送的消息必须设置为1）
     const len = payload.length;
     let header;
     if (len < 126) {
       header = new Uint8Array(2);
-      header[0] = FIN_AND_OP;
       header[1] = maskBit | len;
     } else if (len < 65536) {
       header = new Uint8Array(4);
-      header[0] = FIN_AND_OP;
       header[1] = maskBit | 126;
       header[2] = (len >> 8) & 0xff;
       header[3] = len & 0xff;
     } else {
-      throw new Error("Payload too large");
+      header = new Uint8Array(10);
+      header[1] = maskBit | 127;
+      new DataView(header.buffer).setBigUint64(2, BigInt(len), false);
     }
+    header[0] = (fin ? 0x80 : 0) | (opcode & 0x0f); // FIN标志和操作码
     // 生成4字节随机掩码
     const mask = new Uint8Array(4);
     crypto.getRandomValues(mask);
@@ -239,21 +623,77 @@ export class BaseProxy {
     return this.concatUint8Arrays(header, mask, maskedPayload);
   }
 
+  /**
+   * 将文本消息打包成WebSocket帧
+   * @param {Uint8Array} payload - 载荷
+   * @returns {Uint8Array} 打包后的帧
+   */
+  packTextFrame(payload) {
+    return this.packFrame(0x1, payload);
+  }
+
+  /**
+   * 构建关闭帧载荷（2字节关闭码 + UTF-8原因）
+   * 1005/1006/1015等保留关闭码不能出现在关闭帧中，此时返回空载荷
+   * @param {number} code - 关闭码
+   * @param {string} reason - 关闭原因
+   * @returns {Uint8Array} 关闭帧载荷
+   */
+  packClosePayload(code, reason = "") {
+    if (!this.isSendableCloseCode(code)) return new Uint8Array();
+    // 控制帧载荷不能超过125字节，因此原因最多123字节
+    let reasonBytes = this.encoder.encode(reason || "");
+    if (reasonBytes.length > 123) reasonBytes = reasonBytes.slice(0, 123);
+    const payload = new Uint8Array(2 + reasonBytes.length);
+    payload[0] = (code >> 8) & 0xff;
+    payload[1] = code & 0xff;
+    payload.set(reasonBytes, 2);
+    return payload;
+  }
+
+  /**
+   * 解析关闭帧载荷
+   * @param {Uint8Array} payload - 关闭帧载荷
+   * @returns {{code: number, reason: string}} 关闭码和原因
+   */
+  parseClosePayload(payload) {
+    if (payload.length < 2) return { code: 1005, reason: "" };
+    const code = (payload[0] << 8) | payload[1];
+    const reason = new TextDecoder().decode(payload.slice(2));
+    return { code, reason };
+  }
+
+  /**
+   * 检查关闭码是否可以在关闭帧中发送（RFC 6455 7.4）
+   * @param {number} code - 关闭码
+   * @returns {boolean} 是否可以发送
+   */
+  isSendableCloseCode(code) {
+    return (code >= 1000 && code <= 1003) ||
+      (code >= 1007 && code <= 1014) ||
+      (code >= 3000 && code <= 4999);
+  }
+
   /**
    * 用于解析和重组WebSocket帧的类，支持分片消息
+   * 控制帧（关闭、Ping、Pong）可以穿插在分片消息之间，会被立即返回而不影响分片状态
    */
   SocketFramesReader = class {
     /**
      * 构造函数
      * @param {ReadableStreamDefaultReader} reader - 读取器
      * @param {BaseProxy} parent - 父类实例
+     * @param {Uint8Array} initialData - 已读取但尚未解析的数据
      */
-    constructor(reader, parent) {
+    constructor(reader, parent, initialData = new Uint8Array()) {
       this.reader = reader;
       this.parent = parent;
-      this.buffer = new Uint8Array();
+      this.buffer = initialData;
       this.fragmentedPayload = null;
       this.fragmentedOpcode = null;
+      // 单帧和完整消息（含所有分片）的最大载荷长度，超过时在缓冲载荷之前关闭连接
+      this.maxFrameSize = Number(parent.config.WEBSOCKET_MAX_FRAME_SIZE) || 0;
+      this.maxMessageSize = Number(parent.config.WEBSOCKET_MAX_MESSAGE_SIZE) || 0;
     }
     
     /**
@@ -269,6 +709,24 @@ export class BaseProxy {
       }
       return true;
     }
+
+    /**
+     * 创建协议错误
+     * @param {string} message - 错误信息
+     * @returns {Error} 错误对象
+     */
+    protocolError(message) {
+      return Object.assign(new Error(message), { closeCode: 1002 });
+    }
+
+    /**
+     * 创建消息过大错误
+     * @param {string} message - 错误信息
+     * @returns {Error} 错误对象
+     */
+    tooBigError(message) {
+      return Object.assign(new Error(message), { closeCode: 1009 });
+    }
     
     /**
      * 解析下一个WebSocket帧并处理分片
@@ -281,7 +739,15 @@ export class BaseProxy {
           second = this.buffer[1],
           fin = (first >> 7) & 1,
           opcode = first & 0x0f,
-          isMasked = (second >> 7) & 1;
+          isMasked = (second >> 7) & 1,
+          isControl = (opcode & 0x08) !== 0;
+        if ((opcode > 0x2 && opcode < 0x8) || opcode > 0xa) {
+          throw this.protocolError(`Reserved opcode: ${opcode}`);
+        }
+        // 握手时不协商扩展，RSV1-3必须为0（RFC 6455 5.2）
+        if (first & 0x70) {
+          throw this.protocolError("Reserved bits set without a negotiated extension");
+        }
         let payloadLen = second & 0x7f,
           offset = 2;
         // 如果载荷长度为126，解析下两个字节获取实际长度
@@ -290,7 +756,25 @@ export class BaseProxy {
           payloadLen = (this.buffer[offset] << 8) | this.buffer[offset + 1];
           offset += 2;
         } else if (payloadLen === 127) {
-          throw new Error("127 length mode is not supported");
+          // 如果载荷长度为127，解析下八个字节获取64位长度
+          if (!(await this.ensureBuffer(offset + 8))) return null;
+          const view = new DataView(this.buffer.buffer, this.buffer.byteOffset + offset, 8);
+          const high = view.getUint32(0, false);
+          const low = view.getUint32(4, false);
+          if (high > 0x1fffff) throw this.protocolError("Payload length exceeds safe integer range");
+          payloadLen = high * 0x100000000 + low;
+          offset += 8;
+        }
+        // 控制帧不能分片，且载荷不超过125字节
+        if (isControl && (!fin || payloadLen > 125)) {
+          throw this.protocolError("Invalid control frame");
+        }
+        if (this.maxFrameSize && payloadLen > this.maxFrameSize) {
+          throw this.tooBigError(`Frame of ${payloadLen} bytes exceeds limit`);
+        }
+        const messageLen = payloadLen + (opcode === 0 && this.fragmentedPayload ? this.fragmentedPayload.length : 0);
+        if (!isControl && this.maxMessageSize && messageLen > this.maxMessageSize) {
+          throw this.tooBigError(`Message of ${messageLen} bytes exceeds limit`);
         }
         let mask;
         if (isMasked) {
@@ -307,9 +791,13 @@ export class BaseProxy {
         }
         // 从缓冲区中移除已处理的字节
         this.buffer = this.buffer.slice(offset + payloadLen);
+        if (isControl) {
+          // 控制帧立即返回，保留正在进行的分片状态
+          return { fin: true, opcode, payload };
+        }
         if (opcode === 0) {
           if (this.fragmentedPayload === null)
-            throw new Error("Received continuation frame without initiation");
+            throw this.protocolError("Received continuation frame without initiation");
           this.fragmentedPayload = this.parent.concatUint8Arrays(this.fragmentedPayload, payload);
           if (fin) {
             const completePayload = this.fragmentedPayload;
@@ -318,17 +806,16 @@ export class BaseProxy {
             return { fin: true, opcode: completeOpcode, payload: completePayload };
           }
         } else {
-          // 如果有分片数据但当前帧不是延续帧，重置分片状态
+          // 分片消息未结束时不允许开始新的数据消息
+          if (this.fragmentedPayload !== null) {
+            throw this.protocolError("Received new data frame during fragmented message");
+          }
           if (!fin) {
             this.fragmentedPayload = payload;
             this.fragmentedOpcode = opcode;
             continue;
-          } else {
-            if (this.fragmentedPayload) {
-              this.fragmentedPayload = this.fragmentedOpcode = null;
-            }
-            return { fin, opcode, payload };
           }
+          return { fin, opcode, payload };
         }
       }
     }
@@ -350,140 +837,235 @@ export class BaseProxy {
     return result;
   }
 
+  /**
+   * 在字节数组中查找HTTP头部结束标志（双CRLF）
+   * @param {Uint8Array} buff - 缓冲区
+   * @returns {number} 结束标志的起始位置，未找到时返回-1
+   */
+  findHeaderEnd(buff) {
+    for (let i = 0; i < buff.length - 3; i++) {
+      if (buff[i] === 13 && buff[i + 1] === 10 && buff[i + 2] === 13 && buff[i + 3] === 10) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
   /**
    * 解析HTTP响应头
    * @param {Uint8Array} buff - 缓冲区
    * @returns {object|null} 解析结果
    */
   parseHttpHeaders(buff) {
-    const text = this.decoder.decode(buff);
-    // 查找由"\r\n\r\n"指示的HTTP头部结束标志
-    const headerEnd = text.indexOf("\r\n\r\n");
+    // 查找由"\r\n\r\n"指示的HTTP头部结束标志，只解码头部字节，避免响应体中的多字节字符影响偏移
+    const headerEnd = this.findHeaderEnd(buff);
     if (headerEnd === -1) return null;
-    const headerSection = text.slice(0, headerEnd).split("\r\n");
+    const headerSection = new TextDecoder().decode(buff.slice(0, headerEnd)).split("\r\n");
     const statusLine = headerSection[0];
     // 匹配HTTP状态行
-    const statusMatch = statusLine.match(/HTTP\/1\.[01] (\d+) (.*)/);
+    const statusMatch = statusLine.match(/^HTTP\/1\.[01] (\d{3})(?: (.*))?$/);
     if (!statusMatch) throw new Error(`Invalid status line: ${statusLine}`);
     const headers = new Headers();
     // 解析响应头
     for (let i = 1; i < headerSection.length; i++) {
       const line = headerSection[i];
-      const idx = line.indexOf(": ");
-      if (idx !== -1) {
-        headers.append(line.slice(0, idx), line.slice(idx + 2));
+      const idx = line.indexOf(":");
+      if (idx > 0) {
+        headers.append(line.slice(0, idx).trim(), line.slice(idx + 1).trim());
       }
     }
-    return { status: Number(statusMatch[1]), statusText: statusMatch[2], headers, headerEnd };
+    return { status: Number(statusMatch[1]), statusText: statusMatch[2] || "", headers, headerEnd };
   }
 
   /**
-   * 读取直到双CRLF
+   * 读取一个完整的HTTP响应头
    * @param {ReadableStreamDefaultReader} reader - 读取器
-   * @returns {Promise<string>} 读取的文本
+   * @param {Uint8Array} buff - 已读取但尚未解析的数据
+   * @returns {Promise<object>} 解析结果，rest为头部之后已读取的数据
    */
-  async readUntilDoubleCRLF(reader) {
-    let respText = "";
+  async readResponseHead(reader, buff = new Uint8Array()) {
     while (true) {
-      const { value, done } = await reader.read();
-      if (value) {
-        respText += this.decoder.decode(value, { stream: true });
-        if (respText.includes("\r\n\r\n")) break;
+      const parsed = this.parseHttpHeaders(buff);
+      if (parsed) {
+        return { ...parsed, rest: buff.slice(parsed.headerEnd + 4) };
       }
-      if (done) break;
+      const { value, done } = await reader.read();
+      if (done) throw new Error("Unable to parse response headers");
+      buff = this.concatUint8Arrays(buff, value);
     }
-    return respText;
   }
 
   /**
    * 解析完整的HTTP响应
+   * 跳过1xx临时响应，并按照RFC 7230 3.3.3确定响应体长度：
+   * HEAD请求及204/205/304响应没有响应体，其次依次为分块传输、Content-Length、读取到连接关闭
    * @param {ReadableStreamDefaultReader} reader - 读取器
+   * @param {object} options - 选项
+   * @param {string} options.method - 请求方法
+   * @param {Socket} options.socket - 响应体读取完毕后需要关闭的套接字
    * @returns {Promise<Response>} 响应对象
    */
-  async parseResponse(reader) {
-    let buff = new Uint8Array();
+  async parseResponse(reader, { method = "GET", socket = null } = {}) {
+    let head = await this.readResponseHead(reader);
+    // 跳过1xx临时响应（例如100 Continue）
+    while (head.status >= 100 && head.status < 200) {
+      if (head.status === 101) throw new Error("Unexpected 101 Switching Protocols response");
+      this.log("Skipping interim response", head.status);
+      head = await this.readResponseHead(reader, head.rest);
+    }
+
+    const { status, statusText, headers, rest } = head;
+    const body = this.readResponseBody(reader, rest, method, status, headers);
+    // 移除逐跳头部，响应体已由此处解码
+    for (const name of ["connection", "keep-alive", "proxy-connection", "transfer-encoding", "trailer"]) {
+      headers.delete(name);
+    }
+
+    if (!body) {
+      reader.releaseLock();
+      socket?.close();
+      return new Response(null, { status, statusText, headers });
+    }
+
+    // 通过ReadableStream按需分发响应体数据
+    return new Response(
+      new ReadableStream({
+        pull: async (ctrl) => {
+          try {
+            const { value, done } = await body.next();
+            if (done) {
+              ctrl.close();
+              socket?.close();
+            } else if (value.length) {
+              ctrl.enqueue(value);
+            }
+          } catch (err) {
+            this.log("Error parsing response", err);
+            ctrl.error(err);
+            socket?.close();
+          }
+        },
+        cancel: async () => {
+          await body.return();
+          socket?.close();
+        },
+      }),
+      { status, statusText, headers }
+    );
+  }
+
+  /**
+   * 根据响应头选择响应体的读取方式
+   * @param {ReadableStreamDefaultReader} reader - 读取器
+   * @param {Uint8Array} buff - 头部之后已读取的数据
+   * @param {string} method - 请求方法
+   * @param {number} status - 响应状态码
+   * @param {Headers} headers - 响应头
+   * @returns {AsyncGenerator<Uint8Array>|null} 响应体数据生成器，没有响应体时返回null
+   */
+  readResponseBody(reader, buff, method, status, headers) {
+    if (method.toUpperCase() === "HEAD" || status === 204 || status === 205 || status === 304) {
+      this.log("Response has no body, status", status);
+      return null;
+    }
+
+    const transferEncoding = headers.get("transfer-encoding");
+    if (transferEncoding && /(^|,)\s*chunked\s*$/i.test(transferEncoding)) {
+      this.log("Using chunked transfer mode");
+      // 分块传输时忽略Content-Length
+      headers.delete("content-length");
+      return this.readChunks(reader, buff);
+    }
+
+    const contentLength = headers.get("content-length");
+    if (contentLength !== null) {
+      const values = [...new Set(contentLength.split(",").map((v) => v.trim()))];
+      if (values.length !== 1 || !/^\d+$/.test(values[0])) {
+        throw new Error(`Invalid Content-Length: ${contentLength}`);
+      }
+      this.log("Using fixed-length transfer mode, contentLength", values[0]);
+      return this.readFixedLength(reader, buff, Number(values[0]));
+    }
+
+    this.log("Using close-delimited transfer mode");
+    return this.readUntilClose(reader, buff);
+  }
+
+  /**
+   * 异步生成器：按Content-Length读取固定长度的响应体
+   * @param {ReadableStreamDefaultReader} reader - 读取器
+   * @param {Uint8Array} buff - 缓冲区
+   * @param {number} length - 响应体长度
+   * @returns {AsyncGenerator<Uint8Array>} 数据块生成器
+   */
+  async *readFixedLength(reader, buff, length) {
+    let remaining = length;
+    if (buff.length && remaining > 0) {
+      const part = buff.slice(0, remaining);
+      remaining -= part.length;
+      yield part;
+    }
+    while (remaining > 0) {
+      const { value, done } = await reader.read();
+      if (done) throw new Error("Unexpected EOF before Content-Length was reached");
+      const part = value.length > remaining ? value.slice(0, remaining) : value;
+      remaining -= part.length;
+      yield part;
+    }
+  }
+
+  /**
+   * 异步生成器：读取直到连接关闭的响应体
+   * @param {ReadableStreamDefaultReader} reader - 读取器
+   * @param {Uint8Array} buff - 缓冲区
+   * @returns {AsyncGenerator<Uint8Array>} 数据块生成器
+   */
+  async *readUntilClose(reader, buff) {
+    if (buff.length) yield buff;
     while (true) {
       const { value, done } = await reader.read();
-      if (value) {
-        buff = this.concatUint8Arrays(buff, value);
-        const parsed = this.parseHttpHeaders(buff);
-        if (parsed) {
-          const { status, statusText, headers, headerEnd } = parsed;
-          const isChunked = headers.get("transfer-encoding")?.includes("chunked");
-          const contentLength = parseInt(headers.get("content-length") || "0", 10);
-          const data = buff.slice(headerEnd + 4);
-          // 通过ReadableStream分发响应体数据
-          // 保存this上下文
-          const self = this;
-          return new Response(
-            new ReadableStream({
-              start: async (ctrl) => {
-                try {
-                  if (isChunked) {
-                    console.log("Using chunked transfer mode");
-                    // 分块传输模式：按顺序读取并入队每个块
-                    for await (const chunk of self.readChunks(reader, data)) {
-                      ctrl.enqueue(chunk);
-                    }
-                  } else {
-                    console.log("Using fixed-length transfer mode, contentLength: " + contentLength);
-                    let received = data.length;
-                    if (data.length) ctrl.enqueue(data);
-                    // 固定长度模式：根据content-length读取指定字节数
-                    while (received < contentLength) {
-                      const { value, done } = await reader.read();
-                      if (done) break;
-                      received += value.length;
-                      ctrl.enqueue(value);
-                    }
-                  }
-                  ctrl.close();
-                } catch (err) {
-                  console.log("Error parsing response", err);
-                  ctrl.error(err);
-                }
-              },
-            }),
-            { status, statusText, headers }
-          );
-        }
-      }
       if (done) break;
+      yield value;
     }
-    throw new Error("Unable to parse response headers");
   }
 
   /**
-   * 异步生成器：读取分块HTTP响应数据并按顺序产出每个数据块
+   * 读取一行（以CRLF结尾）
    * @param {ReadableStreamDefaultReader} reader - 读取器
    * @param {Uint8Array} buff - 缓冲区
-   * @returns {AsyncGenerator<Uint8Array>} 数据块生成器
+   * @returns {Promise<{line: string, rest: Uint8Array}>} 读取的行（不含CRLF）和剩余数据
    */
-  async *readChunks(reader, buff = new Uint8Array()) {
+  async readLine(reader, buff) {
     while (true) {
-      // 在现有缓冲区中查找CRLF分隔符的位置
-      let pos = -1;
       for (let i = 0; i < buff.length - 1; i++) {
         if (buff[i] === 13 && buff[i + 1] === 10) {
-          pos = i;
-          break;
+          return { line: new TextDecoder().decode(buff.slice(0, i)), rest: buff.slice(i + 2) };
         }
       }
-      // 如果未找到，继续读取更多数据来填充缓冲区
-      if (pos === -1) {
-        const { value, done } = await reader.read();
-        if (done) break;
-        buff = this.concatUint8Arrays(buff, value);
-        continue;
-      }
-      // 解析块大小（十六进制格式）
-      const sizeStr = this.decoder.decode(buff.slice(0, pos));
+      const { value, done } = await reader.read();
+      if (done) throw new Error("Unexpected EOF in chunked encoding");
+      buff = this.concatUint8Arrays(buff, value);
+    }
+  }
+
+  /**
+   * 异步生成器：读取分块HTTP响应数据并按顺序产出每个数据块
+   * 块大小行中的扩展（;name=value）会被忽略，最后一个块之后的尾部头部会被解析
+   * @param {ReadableStreamDefaultReader} reader - 读取器
+   * @param {Uint8Array} buff - 缓冲区
+   * @returns {AsyncGenerator<Uint8Array, Headers>} 数据块生成器，返回值为尾部头部
+   */
+  async *readChunks(reader, buff = new Uint8Array()) {
+    let line;
+    while (true) {
+      // 解析块大小（十六进制格式），去除块扩展
+      ({ line, rest: buff } = await this.readLine(reader, buff));
+      const sizeStr = line.split(";")[0].trim();
+      if (!/^[0-9a-f]+$/i.test(sizeStr)) throw new Error(`Invalid chunk size: ${line}`);
       const size = parseInt(sizeStr, 16);
       this.log("Read chunk size", size);
       // 大小为0表示块结束
       if (!size) break;
-      // 从缓冲区中移除已解析的大小部分和后续的CRLF
-      buff = buff.slice(pos + 2);
       // 确保缓冲区包含完整的块（包括尾部的CRLF）
       while (buff.length < size + 2) {
         const { value, done } = await reader.read();
@@ -494,5 +1076,20 @@ export class BaseProxy {
       yield buff.slice(0, size);
       buff = buff.slice(size + 2);
     }
+
+    // 解析尾部头部，直到空行为止
+    const trailers = new Headers();
+    while (true) {
+      ({ line, rest: buff } = await this.readLine(reader, buff));
+      if (line === "") break;
+      const idx = line.indexOf(":");
+      if (idx > 0) {
+        trailers.append(line.slice(0, idx).trim(), line.slice(idx + 1).trim());
+      }
+    }
+    if ([...trailers.keys()].length) {
+      this.log("Received chunked trailers", Object.fromEntries(trailers));
+    }
+    return trailers;
   }
 }
\ No newline at end of file
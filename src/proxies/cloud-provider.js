@@ -47,6 +47,10 @@ export class CloudProviderProxy extends BaseProxy {
       return this.handleError(new Error("Cloud provider URL is not configured"), "Cloud provider proxy connection", 500);
     }
 
+    // 检查作为target参数传递的目标地址是否符合访问控制规则
+    const denied = this.checkDestination(dstUrl);
+    if (denied) return denied;
+
     const proxyUrlObj = new URL(cloudProviderUrl);
     proxyUrlObj.searchParams.set('target', dstUrl);
 
@@ -59,6 +63,7 @@ export class CloudProviderProxy extends BaseProxy {
       headers: req.headers,
       body: req.body,
       redirect: 'manual', // 防止代理本身发生重定向
+      signal: this.signal,
     });
 
     try {
@@ -0,0 +1,211 @@
+import { BaseProxy } from './base.js';
+import { DnsJson } from '../dns/json.js';
+import { DnsMessage } from '../dns/message.js';
+import { DnsCache } from '../dns/cache.js';
+import { DnsFilter } from '../dns/filter.js';
+import { EdnsPolicy } from '../dns/edns.js';
+import { DnssecValidator } from '../dns/dnssec.js';
+
+/**
+ * DNS代理基类
+ * 负责解析各种形式的DNS查询请求并按请求的格式返回结果，DoH和DoT代理继承此类并实现上游查询
+ * 支持的请求形式：
+ * - RFC 8484 POST，请求体为 application/dns-message
+ * - RFC 8484 GET，查询参数 ?dns=<base64url编码的报文>
+ * - JSON API GET，查询参数 ?name=<域名>&type=<类型>[&do=1][&cd=1][&ct=application/dns-message]
+ */
+export class DnsBaseProxy extends BaseProxy {
+  // 客户端类型名称（用于错误提示）
+  static CLIENT_NAME = 'DNS';
+
+  /**
+   * 处理DNS查询请求
+   * @param {Request} req - 请求对象
+   * @returns {Promise<Response>} 响应对象
+   */
+  async handleDnsQuery(req) {
+    let request;
+    try {
+      request = await this.readDnsRequest(req);
+      // 在查询上游之前检查报文，格式错误的查询属于客户端错误，不作为上游失败返回502
+      if (request) this.validateQuery(request.query);
+    } catch (error) {
+      return this.handleError(error, "DNS request parsing", 400);
+    }
+    if (!request) {
+      return new Response(`This is a DNS proxy. Please use a ${this.constructor.CLIENT_NAME} client.`, { status: 400 });
+    }
+
+    let result;
+    try {
+      result = await this.resolve(request.query, req.headers.get('CF-Connecting-IP'));
+    } catch (error) {
+      return this.handleError(error, `${this.constructor.CLIENT_NAME} query`, 502);
+    }
+    return this.buildDnsResponse(result.answer, request.json, result);
+  }
+
+  /**
+   * 解析DNS查询
+   * 先按过滤规则在本地应答，未命中规则时查询缓存和上游
+   * @param {Uint8Array} query - DNS查询报文
+   * @param {string|null} clientIp - 客户端IP地址（用于ECS）
+   * @returns {Promise<object>} {answer: 响应报文, cached: 是否来自缓存, filtered: 过滤动作}
+   */
+  async resolve(query, clientIp = null) {
+    // 命中过滤规则的查询不发送到上游
+    const filter = new DnsFilter(this.config);
+    const filtered = await filter.apply(query, async (target) => (await this.lookup(target, clientIp)).answer);
+    if (filtered) {
+      return { answer: filtered.answer, cached: false, filtered: filtered.action };
+    }
+    return await this.lookup(query, clientIp);
+  }
+
+  /**
+   * 通过缓存和上游查询
+   * 发往上游的查询按ECS和填充策略处理，缓存以处理后的查询为键
+   * 启用DNSSEC验证时，上游的响应在返回客户端之前验证签名链
+   * @param {Uint8Array} query - DNS查询报文
+   * @param {string|null} clientIp - 客户端IP地址（用于ECS）
+   * @returns {Promise<object>} {answer: 响应报文, cached: 是否来自缓存}
+   */
+  async lookup(query, clientIp = null) {
+    const edns = new EdnsPolicy(this.config, clientIp);
+    // 验证所需的DS和DNSKEY查询同样经过缓存，但不携带客户端子网
+    const validator = new DnssecValidator(this.config, async (q) =>
+      (await this.queryCached(new EdnsPolicy(this.config).prepareQuery(q))).answer);
+    const upstreamQuery = validator.prepareQuery(edns.prepareQuery(query));
+
+    const { answer, cached } = await this.queryCached(upstreamQuery);
+    return { answer: edns.prepareResponse(await validator.validate(answer, query), query), cached };
+  }
+
+  /**
+   * 通过缓存查询上游，不做任何处理
+   * @param {Uint8Array} query - 发往上游的DNS查询报文
+   * @returns {Promise<object>} {answer: 上游的响应报文, cached: 是否来自缓存}
+   */
+  async queryCached(query) {
+    // 优先使用缓存的响应，减少到上游的往返
+    const cache = new DnsCache(this.config);
+    const cachedAnswer = await cache.get(query);
+    if (cachedAnswer !== null) {
+      return { answer: cachedAnswer, cached: true };
+    }
+    const answer = await this.queryUpstream(query);
+    await cache.put(query, answer);
+    return { answer, cached: false };
+  }
+
+  /**
+   * 解析DNS查询请求
+   * @param {Request} req - 请求对象
+   * @returns {Promise<object|null>} {query: 查询报文, json: 是否以JSON格式返回}，不是DNS请求时返回null
+   */
+  async readDnsRequest(req) {
+    const url = new URL(req.url);
+    const contentType = req.headers.get('content-type') || '';
+
+    if (req.method === 'POST' && contentType.startsWith('application/dns-message')) {
+      return { query: new Uint8Array(await req.arrayBuffer()), json: false };
+    }
+    if (req.method === 'GET' && url.searchParams.has('dns')) {
+      return { query: this.decodeBase64Url(url.searchParams.get('dns')), json: false };
+    }
+    if (req.method === 'GET' && url.searchParams.has('name')) {
+      // JSON API默认返回JSON，ct=application/dns-message时返回报文
+      const json = url.searchParams.get('ct') !== 'application/dns-message';
+      return { query: DnsJson.buildQuery(url.searchParams), json };
+    }
+    return null;
+  }
+
+  /**
+   * 检查客户端发送的DNS查询报文
+   * @param {Uint8Array} query - DNS查询报文
+   * @throws {Error} 报文无法解析、不是查询或没有问题时抛出错误
+   */
+  validateQuery(query) {
+    const message = DnsMessage.parse(query);
+    if (message.qr) {
+      throw new Error("DNS message is not a query");
+    }
+    if (!message.questions.length) {
+      throw new Error("DNS query has no question");
+    }
+  }
+
+  /**
+   * 构建DNS响应
+   * @param {Uint8Array} answer - 上游返回的DNS响应报文
+   * @param {boolean} json - 是否以JSON格式返回
+   * @param {object} status - {cached: 是否来自缓存, filtered: 过滤动作}
+   * @returns {Response} 响应对象
+   */
+  buildDnsResponse(answer, json, { cached = false, filtered = null } = {}) {
+    const headers = filtered
+      ? { 'x-spectre-filter': filtered }
+      : { 'x-spectre-cache': cached ? 'HIT' : 'MISS' };
+    if (json) {
+      return new Response(JSON.stringify(DnsJson.fromMessage(answer)), {
+        headers: { ...headers, 'content-type': DnsJson.CONTENT_TYPE },
+      });
+    }
+    return new Response(answer, {
+      headers: { ...headers, 'content-type': 'application/dns-message' },
+    });
+  }
+
+  /**
+   * 向上游DNS服务器发送查询，由子类实现
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {Promise<Uint8Array>} DNS响应报文
+   */
+  async queryUpstream(query) {
+    throw new Error("queryUpstream method must be implemented by subclass");
+  }
+
+  /**
+   * 解码base64url字符串（RFC 8484 GET请求的dns参数不带填充）
+   * @param {string} value - base64url字符串
+   * @returns {Uint8Array} 解码后的字节
+   */
+  decodeBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), (c) => c.charCodeAt(0));
+  }
+
+  /**
+   * 连接目标服务器
+   * @param {Request} req - 请求对象
+   * @param {string} dstUrl - 目标URL
+   * @returns {Promise<Response>} 响应对象
+   */
+  async connect(req, dstUrl) {
+    // DNS代理专门处理DNS查询请求
+    return await this.handleDnsQuery(req);
+  }
+
+  /**
+   * 连接HTTP目标服务器
+   * @param {Request} req - 请求对象
+   * @param {string} dstUrl - 目标URL
+   * @returns {Promise<Response>} 响应对象
+   */
+  async connectHttp(req, dstUrl) {
+    // DNS代理专门处理DNS查询请求
+    return await this.handleDnsQuery(req);
+  }
+
+  /**
+   * 连接WebSocket目标服务器
+   * @param {Request} req - 请求对象
+   * @param {string} dstUrl - 目标URL
+   * @returns {Promise<Response>} 响应对象
+   */
+  async connectWebSocket(req, dstUrl) {
+    // DNS代理不支持WebSocket
+    return new Response(`${this.constructor.CLIENT_NAME} proxy does not support WebSocket`, { status: 400 });
+  }
+}
\ No newline at end of file
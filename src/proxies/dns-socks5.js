@@ -0,0 +1,128 @@
+import { DnsBaseProxy } from './dns-base.js';
+import { Socks5Proxy } from './socks5.js';
+import { ConfigManager } from '../config.js';
+import { IPUtils } from '../utils/ip.js';
+import { DnsUpstreamPool } from '../dns/upstream.js';
+import { DnsTcpSession } from '../dns/tcp-session.js';
+
+/**
+ * DNS over SOCKS5 代理类
+ * 通过SOCKS5_ADDRESS的CONNECT命令连接上游DNS服务器的53端口，以DNS over TCP（RFC 7766）发送查询，
+ * 使DNS查询与socks5策略的流量使用同一出口
+ * 不支持UDP ASSOCIATE：Workers只能建立TCP连接，无法向SOCKS服务器的UDP中继端口发送数据报
+ * 不支持BIND：Workers不能监听入站连接，无法接受SOCKS服务器转发的反向连接
+ * 会话只在当前请求内复用，请求结束时关闭（Workers中的套接字不能跨请求使用）
+ */
+export class DnsSocks5Proxy extends DnsBaseProxy {
+  /**
+   * 构造函数
+   * @param {object} config - 配置对象
+   */
+  constructor(config) {
+    super(config);
+    const upstreams = ConfigManager.getListValue(config, 'DNS_SOCKS5_UPSTREAMS');
+    if (!upstreams.length) {
+      throw new Error("DNS_SOCKS5_UPSTREAMS is empty");
+    }
+    this.upstreams = upstreams.map((upstream) => ({ name: upstream, ...DnsUpstreamPool.parseHostPort(upstream, 53) }));
+    // 当前请求内打开的会话，同一上游的查询复用同一条SOCKS5隧道
+    this.sessions = new Map();
+  }
+
+  /**
+   * 解析DNS查询，完成后关闭本次请求打开的会话
+   * @param {Uint8Array} query - DNS查询报文
+   * @param {string|null} clientIp - 客户端IP地址（用于ECS）
+   * @returns {Promise<object>} {answer, cached, filtered}
+   */
+  async resolve(query, clientIp = null) {
+    try {
+      return await super.resolve(query, clientIp);
+    } finally {
+      await this.closeSessions();
+    }
+  }
+
+  /**
+   * 按DNS_UPSTREAM_POLICY向上游DNS服务器发送查询
+   * 与DoT不同，失败时不回退到直接的DoH请求，否则查询会绕过SOCKS5出口
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {Promise<Uint8Array>} DNS响应报文
+   */
+  async queryUpstream(query) {
+    const pool = new DnsUpstreamPool(this.config, this.upstreams, (upstream, q) => this.queryViaSocks5(upstream, q));
+    return await pool.query(query);
+  }
+
+  /**
+   * 通过SOCKS5隧道向单个上游DNS服务器发送查询
+   * 复用该上游已打开的会话；复用的连接在应答前被服务器关闭时，与DoT相同，在新隧道上重试一次
+   * @param {object} upstream - 上游DNS服务器
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {Promise<Uint8Array>} DNS响应报文
+   */
+  async queryViaSocks5(upstream, query) {
+    const key = `${upstream.hostname}:${upstream.port}`;
+    const reused = this.sessions.has(key);
+    const opening = this.getSession(key, upstream);
+    const session = await opening;
+    try {
+      return await session.query(query);
+    } catch (error) {
+      if (!session.closed) throw error;
+      // 已关闭的会话不再复用
+      if (this.sessions.get(key) === opening) this.sessions.delete(key);
+      if (!reused || !session.completed) throw error;
+      this.log('DNS over SOCKS5 session closed by server, retrying on a new tunnel', error.message);
+      return await (await this.getSession(key, upstream)).query(query);
+    }
+  }
+
+  /**
+   * 获取到上游DNS服务器的会话，没有时打开新会话
+   * @param {string} key - 上游的 "host:port"
+   * @param {object} upstream - 上游DNS服务器
+   * @returns {Promise<DnsTcpSession>} 会话
+   */
+  getSession(key, upstream) {
+    let session = this.sessions.get(key);
+    if (!session) {
+      session = this.openSession(upstream);
+      this.sessions.set(key, session);
+      // 隧道建立失败时不保留，后续查询重新建立隧道
+      session.catch(() => {
+        if (this.sessions.get(key) === session) this.sessions.delete(key);
+      });
+    }
+    return session;
+  }
+
+  /**
+   * 通过SOCKS5 CONNECT打开到上游DNS服务器的会话
+   * @param {object} upstream - 上游DNS服务器
+   * @returns {Promise<DnsTcpSession>} 会话
+   */
+  async openSession(upstream) {
+    const socks5 = new Socks5Proxy(this.config);
+    let addressType = 2;
+    if (IPUtils.isIPv4(upstream.hostname)) {
+      addressType = 1;
+    } else if (IPUtils.isIPv6(upstream.hostname)) {
+      addressType = 3;
+    }
+    const socket = await socks5.socks5Connect(addressType, upstream.hostname, upstream.port);
+    this.log("DNS over SOCKS5 tunnel opened", `${upstream.hostname}:${upstream.port}`);
+    return new DnsTcpSession(socket, { log: this.log });
+  }
+
+  /**
+   * 关闭所有打开的会话
+   */
+  async closeSessions() {
+    const sessions = [...this.sessions.values()];
+    this.sessions.clear();
+    for (const session of await Promise.allSettled(sessions)) {
+      if (session.status === 'fulfilled') session.value.close();
+    }
+  }
+}
\ No newline at end of file
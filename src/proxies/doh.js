@@ -1,160 +1,143 @@
 import { connect } from 'cloudflare:sockets';
-import { BaseProxy } from './base.js';
-import { FetchProxy } from './fetch.js';
+import { DnsBaseProxy } from './dns-base.js';
+import { ConfigManager } from '../config.js';
+import { DnsUpstreamPool } from '../dns/upstream.js';
 
 /**
  * DoH (DNS over HTTPS) 代理类
  * 用于代理DNS查询请求
  */
-export class DoHProxy extends BaseProxy {
+export class DoHProxy extends DnsBaseProxy {
+  // 客户端类型名称（用于错误提示）
+  static CLIENT_NAME = 'DoH';
+
   /**
    * 构造函数
    * @param {object} config - 配置对象
    */
   constructor(config) {
     super(config);
-    // 上游DoH服务器信息
-    this.UPSTREAM_DOH_SERVER = {
-      hostname: config.DOH_SERVER_HOSTNAME || 'dns.google',
-      port: config.DOH_SERVER_PORT || 443,
-      path: config.DOH_SERVER_PATH || '/dns-query',
-    };
+    // 上游DoH服务器列表，未配置DOH_UPSTREAMS时使用DOH_SERVER_*配置的单个服务器
+    const upstreams = ConfigManager.getListValue(config, 'DOH_UPSTREAMS');
+    this.upstreams = upstreams.length
+      ? upstreams.map((upstream) => this.parseUpstream(upstream))
+      : [{
+        name: config.DOH_SERVER_HOSTNAME || 'dns.google',
+        hostname: config.DOH_SERVER_HOSTNAME || 'dns.google',
+        port: Number(config.DOH_SERVER_PORT) || 443,
+        path: config.DOH_SERVER_PATH || '/dns-query',
+      }];
   }
 
   /**
-   * 处理DNS查询请求
-   * @param {Request} req - 请求对象
-   * @returns {Promise<Response>} 响应对象
+   * 解析上游DoH服务器地址
+   * @param {string} address - DoH地址，例如 "https://dns.google/dns-query" 或 "cloudflare-dns.com"
+   * @returns {object} {name, hostname, port, path}
    */
-  async handleDnsQuery(req) {
-    if (req.method !== 'POST' || req.headers.get('content-type') !== 'application/dns-message') {
-      return new Response('This is a DNS proxy. Please use a DoH client.', { status: 400 });
-    }
+  parseUpstream(address) {
+    const url = new URL(address.includes('://') ? address : `https://${address}`);
+    return {
+      name: address,
+      hostname: url.hostname.replace(/^\[(.*)\]$/, '$1'),
+      port: Number(url.port) || 443,
+      path: url.pathname === '/' ? '/dns-query' : `${url.pathname}${url.search}`,
+    };
+  }
 
-    let clientDnsQuery;
-    try {
-      clientDnsQuery = await req.arrayBuffer();
+  /**
+   * 上游DoH服务器的authority（用于URL和Host头），非443端口时带上端口号
+   * @param {object} upstream - 上游DoH服务器
+   * @returns {string} 例如 "dns.google" 或 "[2001:db8::1]:8443"
+   */
+  authority(upstream) {
+    const host = upstream.hostname.includes(':') ? `[${upstream.hostname}]` : upstream.hostname;
+    return upstream.port === 443 ? host : `${host}:${upstream.port}`;
+  }
 
-      // 过滤请求头，确保不泄露敏感信息
-      const cleanedHeaders = this.filterHeaders(req.headers);
+  /**
+   * 按DNS_UPSTREAM_POLICY向上游DoH服务器发送查询
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {Promise<Uint8Array>} DNS响应报文
+   */
+  async queryUpstream(query) {
+    const pool = new DnsUpstreamPool(this.config, this.upstreams, (upstream, q) => this.queryServer(upstream, q));
+    return await pool.query(query);
+  }
 
-      // DOH请求头
-      cleanedHeaders.set('Host', this.UPSTREAM_DOH_SERVER.hostname);
-      cleanedHeaders.set('Content-Type', 'application/dns-message');
-      cleanedHeaders.set('Content-Length', clientDnsQuery.byteLength.toString());
-      cleanedHeaders.set('Accept', 'application/dns-message');
-      cleanedHeaders.set('Connection', 'close'); // 完成后关闭连接，简化处理
+  /**
+   * 向单个上游DoH服务器发送查询
+   * 使用socket直接连接上游DoH服务器，失败时回退到fetch策略
+   * @param {object} upstream - 上游DoH服务器
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {Promise<Uint8Array>} DNS响应报文
+   */
+  async queryServer(upstream, query) {
+    try {
+      return await this.queryViaSocket(upstream, query);
+    } catch (error) {
+      // socket策略失败时，回退到fetch策略
+      this.log('DoH socket connection failed, falling back to fetch', error.message);
+      const response = await fetch(new Request(`https://${this.authority(upstream)}${upstream.path}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/dns-message', 'accept': 'application/dns-message' },
+        body: query,
+      }));
+      if (!response.ok) {
+        throw new Error(`Fallback DoH query returned status ${response.status}`);
+      }
+      return new Uint8Array(await response.arrayBuffer());
+    }
+  }
 
-      // 建立TLS连接
-      const socket = connect(this.UPSTREAM_DOH_SERVER, { secureTransport: 'on', allowHalfOpen: false });
+  /**
+   * 通过socket向上游DoH服务器发送POST请求
+   * @param {object} upstream - 上游DoH服务器
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {Promise<Uint8Array>} DNS响应报文
+   */
+  async queryViaSocket(upstream, query) {
+    // DOH请求头
+    const headers = new Headers();
+    headers.set('Host', this.authority(upstream));
+    headers.set('Content-Type', 'application/dns-message');
+    headers.set('Content-Length', query.byteLength.toString());
+    headers.set('Accept', 'application/dns-message');
+    headers.set('Connection', 'close'); // 完成后关闭连接，简化处理
+
+    // 建立TLS连接
+    const socket = connect({ hostname: upstream.hostname, port: upstream.port }, { secureTransport: 'on', allowHalfOpen: false });
+    // 出错或上游返回非200状态时响应体不会被读完，需要主动关闭连接
+    try {
       const writer = socket.writable.getWriter();
 
       // 构建HTTP POST请求
       const httpHeaders =
-        `POST ${this.UPSTREAM_DOH_SERVER.path} HTTP/1.1\r\n` +
-        Array.from(cleanedHeaders.entries())
+        `POST ${upstream.path} HTTP/1.1\r\n` +
+        Array.from(headers.entries())
           .map(([k, v]) => `${k}: ${v}`)
           .join('\r\n') +
         '\r\n\r\n';
 
       const requestHeaderBytes = this.encoder.encode(httpHeaders);
-      const requestBodyBytes = new Uint8Array(clientDnsQuery);
 
       // 合并请求头和请求体
-      const fullRequest = new Uint8Array(requestHeaderBytes.length + requestBodyBytes.length);
+      const fullRequest = new Uint8Array(requestHeaderBytes.length + query.length);
       fullRequest.set(requestHeaderBytes, 0);
-      fullRequest.set(requestBodyBytes, requestHeaderBytes.length);
+      fullRequest.set(query, requestHeaderBytes.length);
 
       // 请求
       await writer.write(fullRequest);
       writer.releaseLock();
 
-      // 读取并解析响应
-      const reader = socket.readable.getReader();
-      let responseBytes = new Uint8Array();
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        // 合并数据块
-        const newBuffer = new Uint8Array(responseBytes.length + value.length);
-        newBuffer.set(responseBytes, 0);
-        newBuffer.set(value, responseBytes.length);
-        responseBytes = newBuffer;
-      }
-
-      reader.releaseLock();
-      await socket.close();
-
-      // 5. 剥离HTTP响应头，提取Body，只返回DNS响应结果
-      const separator = new Uint8Array([13, 10, 13, 10]);
-      let separatorIndex = -1;
-      for (let i = 0; i < responseBytes.length - 3; i++) {
-        if (responseBytes[i] === separator[0] && responseBytes[i + 1] === separator[1] && 
-            responseBytes[i + 2] === separator[2] && responseBytes[i + 3] === separator[3]) {
-          separatorIndex = i;
-          break;
-        }
-      }
-
-      if (separatorIndex === -1) {
-        throw new Error("Could not find HTTP header/body separator in response.");
+      // 读取并解析响应，按照响应头确定的方式读取响应体（支持分块传输）
+      const response = await this.parseResponse(socket.readable.getReader(), { method: 'POST', socket });
+      if (response.status !== 200) {
+        throw new Error(`Upstream DoH server returned status ${response.status}`);
       }
-
-      const dnsResponseBody = responseBytes.slice(separatorIndex + 4);
-
-      // 返回DNS响应
-      return new Response(dnsResponseBody, {
-        headers: { 'content-type': 'application/dns-message' },
-      });
+      return new Uint8Array(await response.arrayBuffer());
     } catch (error) {
-      // socket策略失败时，回退到fetch策略
-      try {
-        const fallbackProxy = new FetchProxy(this.config);
-        // 不能重用原始请求，它的主体已被读取。我们使用已有的主体数据创建一个新的请求。
-        const fallbackRequest = new Request(req.url, {
-            method: req.method,
-            headers: req.headers,
-            body: clientDnsQuery // 之前读取的缓冲区
-        });
-        return await fallbackProxy.handleDnsQuery(fallbackRequest);
-      } catch (fallbackError) {
-        return this.handleError(fallbackError, "DoH proxying with connect", 502);
-      }
+      socket.close().catch(() => {});
+      throw error;
     }
   }
-
-  /**
-   * 连接目标服务器
-   * @param {Request} req - 请求对象
-   * @param {string} dstUrl - 目标URL
-   * @returns {Promise<Response>} 响应对象
-   */
-  async connect(req, dstUrl) {
-    // DoH代理专门处理DNS查询请求
-    return await this.handleDnsQuery(req);
-  }
-
-  /**
-   * 连接HTTP目标服务器
-   * @param {Request} req - 请求对象
-   * @param {string} dstUrl - 目标URL
-   * @returns {Promise<Response>} 响应对象
-   */
-  async connectHttp(req, dstUrl) {
-    // DoH代理专门处理DNS查询请求
-    return await this.handleDnsQuery(req);
-  }
-
-  /**
-   * 连接WebSocket目标服务器
-   * @param {Request} req - 请求对象
-   * @param {string} dstUrl - 目标URL
-   * @returns {Promise<Response>} 响应对象
-   */
-  async connectWebSocket(req, dstUrl) {
-    // DoH代理不支持WebSocket
-    return new Response("DoH proxy does not support WebSocket", { status: 400 });
-  }
 }
\ No newline at end of file
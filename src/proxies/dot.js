@@ -1,138 +1,123 @@
 import { connect } from 'cloudflare:sockets';
-import { BaseProxy } from './base.js';
+import { DnsBaseProxy } from './dns-base.js';
+import { ConfigManager } from '../config.js';
+import { DnsUpstreamPool } from '../dns/upstream.js';
+import { DnsTcpSession } from '../dns/tcp-session.js';
 
 /**
  * DoT 代理类
  * 用于代理DOT查询请求
  */
-export class DoTProxy extends BaseProxy {
+export class DoTProxy extends DnsBaseProxy {
+  // 客户端类型名称（用于错误提示）
+  static CLIENT_NAME = 'DoT';
+
   /**
    * 构造函数
    * @param {object} config - 配置对象
    */
   constructor(config) {
     super(config);
-    // 获取上游DoT服务器信息
-    this.UPSTREAM_DOT_SERVER = {
-      hostname: config.DOT_SERVER_HOSTNAME || 'some-niche-dns.com',
-      port: config.DOT_SERVER_PORT || 853,
-    };
+    // 上游DoT服务器列表，未配置DOT_UPSTREAMS时使用DOT_SERVER_*配置的单个服务器
+    const upstreams = ConfigManager.getListValue(config, 'DOT_UPSTREAMS');
+    this.upstreams = upstreams.length
+      ? upstreams.map((upstream) => ({ name: upstream, ...DnsUpstreamPool.parseHostPort(upstream, 853) }))
+      : [{
+        name: config.DOT_SERVER_HOSTNAME || 'some-niche-dns.com',
+        hostname: config.DOT_SERVER_HOSTNAME || 'some-niche-dns.com',
+        port: Number(config.DOT_SERVER_PORT) || 853,
+      }];
+    // 当前请求内打开的DoT会话，同一上游的查询复用同一连接
+    // Workers中的套接字只能在打开它的请求内使用，因此会话不能跨请求保留
+    this.sessions = new Map();
   }
 
   /**
-   * 处理DNS查询请求
-   * @param {Request} req - 请求对象
-   * @returns {Promise<Response>} 响应对象
+   * 解析DNS查询，完成后关闭本次请求打开的DoT会话
+   * @param {Uint8Array} query - DNS查询报文
+   * @param {string|null} clientIp - 客户端IP地址（用于ECS）
+   * @returns {Promise<object>} {answer, cached, filtered}
    */
-  async handleDnsQuery(req) {
-    if (req.method !== 'POST' || req.headers.get('content-type') !== 'application/dns-message') {
-      return new Response('This is a DNS proxy. Please use a DoT client.', { status: 400 });
+  async resolve(query, clientIp = null) {
+    try {
+      return await super.resolve(query, clientIp);
+    } finally {
+      this.closeSessions();
     }
+  }
 
-    let clientDnsQuery;
+  /**
+   * 按DNS_UPSTREAM_POLICY向上游DoT服务器发送查询
+   * 所有DoT上游均失败（一般因目标DOT服务器使用了Cloudflare网络）时，使用Fetch请求DOH作为回退
+   * 由于使用Fetch请求Cloudflare网络的DOT服务器频繁出现问题，所以使用Fetch请求DOH作为回退
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {Promise<Uint8Array>} DNS响应报文
+   */
+  async queryUpstream(query) {
     try {
-      clientDnsQuery = await req.arrayBuffer();
-      const socket = connect(this.UPSTREAM_DOT_SERVER, { secureTransport: 'on', allowHalfOpen: false });
-      const writer = socket.writable.getWriter();
-      const queryLength = clientDnsQuery.byteLength;
-      const lengthBuffer = new Uint8Array(2);
-      new DataView(lengthBuffer.buffer).setUint16(0, queryLength, false); // Big-endian
-      const dotRequest = new Uint8Array(2 + queryLength);
-      dotRequest.set(lengthBuffer, 0);
-      dotRequest.set(new Uint8Array(clientDnsQuery), 2);
-      await writer.write(dotRequest);
-      writer.releaseLock();
-      const reader = socket.readable.getReader();
-      let responseChunks = [];
-      let totalLength = 0;
-      
-      // DoT 的响应可能分片，需要循环读取
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        responseChunks.push(value);
-        totalLength += value.length;
-      }
-
-      reader.releaseLock();
-      await socket.close();
-      
-      // 合并分片
-      const fullResponse = new Uint8Array(totalLength);
-      let offset = 0;
-      for (const chunk of responseChunks) {
-          fullResponse.set(chunk, offset);
-          offset += chunk.length;
-      }
-
-      // 解析 DoT 响应（去掉2字节长度前缀）
-      const responseLength = new DataView(fullResponse.buffer).getUint16(0, false);
-      const dnsResponse = fullResponse.slice(2, 2 + responseLength);
-
-      //返回DNS查询结果
-      return new Response(dnsResponse, {
-        headers: { 'content-type': 'application/dns-message' },
-      });
-
+      const pool = new DnsUpstreamPool(this.config, this.upstreams, (upstream, q) => this.queryViaSocket(upstream, q));
+      return await pool.query(query);
     } catch (socketError) {
       this.log('DoT socket connection failed, falling back to DoH via fetch.', socketError);
-      
-      // DOT使用socket策略请求失败（一般因目标DOT服务器使用了Cloudflare网络），使用Fetch请求DOH作为回退
-      // 由于使用Fetch请求Cloudflare网络的DOT服务器频繁出现问题，所以使用Fetch请求DOH作为回退
-      try {
-        this.log('Attempting DoH fallback...');
-        const upstreamDnsUrl = `https://${this.config.DOH_SERVER_HOSTNAME}${this.config.DOH_SERVER_PATH || '/dns-query'}`;
-        
-        const dohHeaders = new Headers();
-        dohHeaders.set("Host", this.config.DOH_SERVER_HOSTNAME);
-        dohHeaders.set("Content-Type", "application/dns-message");
-        dohHeaders.set("Accept", "application/dns-message");
-        
-        const fallbackRequest = new Request(upstreamDnsUrl, {
-            method: 'POST',
-            headers: dohHeaders,
-            body: clientDnsQuery,
-        });
-        
-        return await fetch(fallbackRequest);
+      this.log('Attempting DoH fallback...');
+      const upstreamDnsUrl = `https://${this.config.DOH_SERVER_HOSTNAME}${this.config.DOH_SERVER_PATH || '/dns-query'}`;
+
+      const dohHeaders = new Headers();
+      dohHeaders.set("Host", this.config.DOH_SERVER_HOSTNAME);
+      dohHeaders.set("Content-Type", "application/dns-message");
+      dohHeaders.set("Accept", "application/dns-message");
 
-      } catch (fallbackError) {
-        this.log('DoH fallback also failed.', fallbackError);
-        return this.handleError(fallbackError, 'DoT and subsequent DoH fallback');
+      const response = await fetch(new Request(upstreamDnsUrl, {
+        method: 'POST',
+        headers: dohHeaders,
+        body: query,
+      }));
+      if (!response.ok) {
+        throw new Error(`DoH fallback returned status ${response.status}`);
       }
+      return new Uint8Array(await response.arrayBuffer());
     }
   }
 
   /**
-   * 连接目标服务器
-   * @param {Request} req - 请求对象
-   * @param {string} dstUrl - 目标URL
-   * @returns {Promise<Response>} 响应对象
+   * 通过TLS连接向单个上游DoT服务器发送查询
+   * 复用该上游已打开的会话；复用的连接在应答前被服务器关闭时（RFC 7766允许服务器关闭空闲连接），在新连接上重试一次
+   * @param {object} upstream - 上游DoT服务器
+   * @param {Uint8Array} query - DNS查询报文
+   * @returns {Promise<Uint8Array>} DNS响应报文
    */
-  async connect(req, dstUrl) {
-    // DoT代理专门处理DNS查询请求
-    return await this.handleDnsQuery(req);
+  async queryViaSocket(upstream, query) {
+    const existing = this.sessions.get(`${upstream.hostname}:${upstream.port}`);
+    const session = existing && !existing.closed ? existing : this.openSession(upstream);
+    try {
+      return await session.query(query);
+    } catch (error) {
+      if (session !== existing || !session.closed || !session.completed) throw error;
+      this.log('DoT session closed by server, retrying on a new connection', error.message);
+      return await this.openSession(upstream).query(query);
+    }
   }
 
   /**
-   * 连接HTTP目标服务器
-   * @param {Request} req - 请求对象
-   * @param {string} dstUrl - 目标URL
-   * @returns {Promise<Response>} 响应对象
+   * 打开到上游DoT服务器的会话
+   * @param {object} upstream - 上游DoT服务器
+   * @returns {DnsTcpSession} 会话
    */
-  async connectHttp(req, dstUrl) {
-    // DoT代理专门处理DNS查询请求
-    return await this.handleDnsQuery(req);
+  openSession(upstream) {
+    // 允许半关闭，结束会话时先关闭写入方向
+    const socket = connect({ hostname: upstream.hostname, port: upstream.port }, { secureTransport: 'on', allowHalfOpen: true });
+    const session = new DnsTcpSession(socket, { log: this.log });
+    this.sessions.set(`${upstream.hostname}:${upstream.port}`, session);
+    return session;
   }
 
   /**
-   * 连接WebSocket目标服务器
-   * @param {Request} req - 请求对象
-   * @param {string} dstUrl - 目标URL
-   * @returns {Promise<Response>} 响应对象
+   * 关闭所有打开的DoT会话
    */
-  async connectWebSocket(req, dstUrl) {
-    // DoT代理不支持WebSocket
-    return new Response("DoT proxy does not support WebSocket", { status: 400 });
+  closeSessions() {
+    for (const session of this.sessions.values()) {
+      session.close();
+    }
+    this.sessions.clear();
   }
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { BaseProxy } from './base.js';
+import { EdnsPolicy } from '../dns/edns.js';
 
 /**
  * Fetch代理类
@@ -44,6 +45,10 @@ export class FetchProxy extends BaseProxy {
    * @returns {Promise<Response>} 响应对象
    */
   async connectHttp(req, dstUrl) {
+    // 检查目标地址是否符合访问控制规则
+    const denied = this.checkDestination(dstUrl);
+    if (denied) return denied;
+
     const targetUrl = new URL(dstUrl);
     
     // 清理头部信息
@@ -58,6 +63,9 @@ export class FetchProxy extends BaseProxy {
         method: req.method,
         headers: cleanedHeaders,
         body: req.body,
+        // 不由fetch自动跟随重定向，否则重定向目标不会经过访问控制检查；3xx响应交给RedirectHandler或直接返回给客户端
+        redirect: 'manual',
+        signal: this.signal,
       });
       
       this.log("Using fetch to connect to", dstUrl);
@@ -98,6 +106,22 @@ export class FetchProxy extends BaseProxy {
       cleanedHeaders.set("Content-Type", "application/dns-message");
       cleanedHeaders.set("Accept", "application/dns-message");
       
+      // DNS报文按ECS和填充策略处理后再转发
+      const contentType = req.headers.get('content-type') || '';
+      if (req.method === 'POST' && contentType.startsWith('application/dns-message')) {
+        const edns = new EdnsPolicy(this.config, req.headers.get('CF-Connecting-IP'));
+        const query = new Uint8Array(await req.arrayBuffer());
+        this.log("Using fetch to handle DNS query");
+        const response = await fetch(new Request(upstreamDnsUrl, {
+          method: 'POST',
+          headers: cleanedHeaders,
+          body: edns.prepareQuery(query),
+        }));
+        if (!response.ok) return response;
+        const answer = edns.prepareResponse(new Uint8Array(await response.arrayBuffer()), query);
+        return new Response(answer, { headers: { 'content-type': 'application/dns-message' } });
+      }
+
       // 使用fetch转发DNS查询请求
       const fetchRequest = new Request(upstreamDnsUrl, {
         method: req.method,
@@ -0,0 +1,266 @@
+import { connect } from 'cloudflare:sockets';
+import { BaseProxy } from './base.js';
+import { EgressResolver } from '../dns/resolver.js';
+import { IPUtils } from '../utils/ip.js';
+
+/**
+ * HTTP代理类
+ * 通过上游HTTP代理（HTTP_PROXY_ADDRESS）进行连接：
+ * HTTPS/WSS目标以及WebSocket、TCP隧道使用CONNECT建立隧道，隧道建立后对目标进行端到端的TLS握手；
+ * HTTP目标直接向代理发送绝对形式（absolute-form）的请求，由代理解析域名
+ */
+export class HttpProxy extends BaseProxy {
+  /**
+   * 构造函数
+   * @param {object} config - 配置对象
+   */
+  constructor(config) {
+    super(config);
+    this.upstream = this.parseProxyAddress(String(config.HTTP_PROXY_ADDRESS || "").trim());
+    this.handshakeTimeout = Number(config.HTTP_PROXY_HANDSHAKE_TIMEOUT) || 0;
+  }
+
+  /**
+   * 连接目标服务器
+   * @param {Request} req - 请求对象
+   * @param {string} dstUrl - 目标URL
+   * @returns {Promise<Response>} 响应对象
+   */
+  async connect(req, dstUrl) {
+    // 检查请求是否为WebSocket请求
+    const upgradeHeader = req.headers.get("Upgrade")?.toLowerCase();
+    const isWebSocket = upgradeHeader === "websocket";
+
+    if (isWebSocket) {
+      return await this.connectWebSocket(req, dstUrl);
+    } else {
+      return await this.connectHttp(req, dstUrl);
+    }
+  }
+
+  /**
+   * 连接WebSocket目标服务器
+   * @param {Request} req - 请求对象
+   * @param {string} dstUrl - 目标URL
+   * @returns {Promise<Response>} 响应对象
+   */
+  async connectWebSocket(req, dstUrl) {
+    // 如果目标URL不支持WebSocket协议，返回错误响应
+    if (!/^wss?:\/\//i.test(dstUrl)) {
+      return new Response("Target does not support WebSocket", { status: 400 });
+    }
+
+    // 检查目标地址是否符合访问控制规则
+    const denied = this.checkDestination(dstUrl);
+    if (denied) return denied;
+
+    // 通过CONNECT隧道连接，ws://目标也不使用绝对形式请求，避免代理不转发Upgrade
+    const target = this.resolveTarget(dstUrl);
+    const socket = await this.openSocket(target);
+    return await this.upgradeWebSocket(socket, req, target);
+  }
+
+  /**
+   * 连接HTTP目标服务器
+   * @param {Request} req - 请求对象
+   * @param {string} dstUrl - 目标URL
+   * @returns {Promise<Response>} 响应对象
+   */
+  async connectHttp(req, dstUrl) {
+    // 检查目标地址是否符合访问控制规则
+    const denied = this.checkDestination(dstUrl);
+    if (denied) return denied;
+
+    const target = this.resolveTarget(dstUrl);
+
+    try {
+      // 启用EGRESS_DNS或DNS_PINS时需要按解析后的地址连接，只能使用CONNECT隧道
+      if (!target.secure && !new EgressResolver(this.config).isEnabled()) {
+        const socket = this.connectUpstream();
+        return await this.sendHttpRequest(socket, req, {
+          ...target,
+          path: `${target.url.protocol}//${target.hostHeader}${target.path}`,
+          proxyAuthorization: this.upstream.authorization,
+        });
+      }
+      const socket = await this.openSocket(target);
+      return await this.sendHttpRequest(socket, req, target);
+    } catch (error) {
+      // 使用统一的错误处理方法
+      return this.handleError(error, "HTTP proxy connection");
+    }
+  }
+
+  /**
+   * 构建HTTP/1.1请求头部，绝对形式的请求附带代理认证头部
+   * @param {string} method - 请求方法
+   * @param {object} target - 目标信息
+   * @param {Headers} headers - 已清理的请求头
+   * @returns {Uint8Array} 请求行和头部
+   */
+  buildRequestHead(method, target, headers) {
+    if (target.proxyAuthorization) {
+      headers.set("Proxy-Authorization", target.proxyAuthorization);
+    }
+    return super.buildRequestHead(method, target, headers);
+  }
+
+  /**
+   * 通过HTTP代理建立到目标服务器的套接字连接
+   * @param {object} target - resolveTarget返回的目标信息
+   * @returns {Promise<Socket>} Socket对象
+   */
+  async openSocket(target) {
+    // 启用EGRESS_DNS时向代理发送解析后的IP地址，不由代理解析域名
+    const { hostname } = await new EgressResolver(this.config).resolveTarget(target);
+    const socket = await this.httpConnect(hostname, target.port, target.secure);
+    if (!target.secure) return socket;
+    // CONNECT隧道建立后，对HTTPS/WSS目标进行端到端的TLS握手
+    if (typeof socket.startTls !== "function") {
+      socket.close().catch(() => {});
+      throw new Error("TLS over HTTP proxy tunnel is not supported by this runtime");
+    }
+    return socket.startTls({ expectedServerHostname: target.hostname });
+  }
+
+  /**
+   * 打开到上游HTTP代理的连接
+   * 使用starttls模式，CONNECT隧道建立后可以对目标服务器进行TLS握手
+   * @returns {Socket} Socket对象
+   */
+  connectUpstream() {
+    const { hostname, port } = this.upstream;
+    return this.closeOnAbort(connect({ hostname, port }, { secureTransport: "starttls", allowHalfOpen: false }));
+  }
+
+  /**
+   * 通过HTTP代理的CONNECT方法建立隧道
+   * 隧道建立失败或超时时关闭到代理的连接
+   * @param {string} hostname - 目标主机名或IP地址
+   * @param {number} port - 目标端口
+   * @param {boolean} secure - 隧道建立后是否要对目标进行TLS握手
+   * @returns {Promise<Socket>} 隧道套接字
+   */
+  async httpConnect(hostname, port, secure = false) {
+    const socket = this.connectUpstream();
+    const authority = `${IPUtils.isIPv6(hostname) ? `[${hostname}]` : hostname}:${port}`;
+    let rest;
+    let timer;
+    try {
+      const handshake = this.sendConnectRequest(socket, authority, secure);
+      // 连接代理、发送CONNECT请求和读取应答共用一个超时，没有应答的代理不会使请求一直挂起
+      if (this.handshakeTimeout) {
+        handshake.catch(() => {});
+        rest = await Promise.race([handshake, new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error("HTTP proxy handshake timed out")), this.handshakeTimeout);
+        })]);
+      } else {
+        rest = await handshake;
+      }
+    } catch (error) {
+      socket.close().catch(() => {});
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+    if (!rest.length) return socket;
+
+    // 目标服务器先发送的数据（例如SMTP问候）可能与CONNECT响应一起到达
+    return {
+      readable: this.prependStream(rest, socket.readable),
+      writable: socket.writable,
+      opened: socket.opened,
+      closed: socket.closed,
+      close: () => socket.close(),
+    };
+  }
+
+  /**
+   * 发送CONNECT请求并读取代理的应答
+   * @param {Socket} socket - 到上游HTTP代理的套接字
+   * @param {string} authority - 目标 "host:port"
+   * @param {boolean} secure - 隧道建立后是否要对目标进行TLS握手
+   * @returns {Promise<Uint8Array>} 与应答一起到达的隧道数据
+   */
+  async sendConnectRequest(socket, authority, secure) {
+    let request = `CONNECT ${authority} HTTP/1.1\r\nHost: ${authority}\r\n`;
+    if (this.upstream.authorization) {
+      request += `Proxy-Authorization: ${this.upstream.authorization}\r\n`;
+    }
+
+    const writer = socket.writable.getWriter();
+    await writer.write(this.encoder.encode(`${request}\r\n`));
+    this.log("Sent CONNECT request", authority);
+
+    const reader = socket.readable.getReader();
+    const { status, statusText, rest } = await this.readResponseHead(reader);
+    if (status < 200 || status >= 300) {
+      throw new Error(`HTTP proxy CONNECT failed: ${status} ${statusText}`);
+    }
+    // TLS握手必须是隧道中的第一批数据，此前收到的数据说明代理或目标不是预期的TLS服务器
+    if (secure && rest.length) {
+      throw new Error("HTTP proxy tunnel received data before TLS handshake");
+    }
+    this.log("HTTP proxy tunnel opened", authority);
+    writer.releaseLock();
+    reader.releaseLock();
+    return rest;
+  }
+
+  /**
+   * 在可读流前插入已读取的数据
+   * @param {Uint8Array} head - 已读取的数据
+   * @param {ReadableStream} readable - 原可读流
+   * @returns {ReadableStream} 新的可读流
+   */
+  prependStream(head, readable) {
+    const reader = readable.getReader();
+    return new ReadableStream({
+      start(controller) {
+        controller.enqueue(head);
+      },
+      async pull(controller) {
+        const { value, done } = await reader.read();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      },
+      cancel(reason) {
+        return reader.cancel(reason);
+      },
+    });
+  }
+
+  /**
+   * 解析HTTP代理地址
+   * @param {string} address - 格式 "[http://][user:pass@]host:port"
+   * @returns {object} 解析后的地址信息
+   */
+  parseProxyAddress(address) {
+    if (!address) {
+      throw new Error('Invalid HTTP proxy address format');
+    }
+    let url;
+    try {
+      url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(address) ? address : `http://${address}`);
+    } catch (e) {
+      throw new Error('Invalid HTTP proxy address format');
+    }
+    // 到代理的连接需要保持明文，隧道建立后才能对目标进行TLS握手
+    if (url.protocol !== "http:" || !url.hostname) {
+      throw new Error('Invalid HTTP proxy address format');
+    }
+    let authorization = null;
+    if (url.username || url.password) {
+      const credentials = `${decodeURIComponent(url.username)}:${decodeURIComponent(url.password)}`;
+      authorization = `Basic ${btoa(String.fromCharCode(...this.encoder.encode(credentials)))}`;
+    }
+    return {
+      hostname: url.hostname.replace(/^\[(.*)\]$/, "$1"),
+      port: url.port ? Number(url.port) : 80,
+      authorization,
+    };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,140 @@
+import { DoHProxy } from './doh.js';
+import { ConfigManager } from '../config.js';
+import { AccessControl } from '../access-control.js';
+import { ObliviousDns } from '../dns/odoh.js';
+import { EdnsPolicy } from '../dns/edns.js';
+import { PatternMatcher } from '../utils/pattern.js';
+
+/**
+ * ODoH (Oblivious DNS over HTTPS) 代理类
+ * - 中继模式：请求带 targethost/targetpath 参数时，将加密的查询原样转发到目标，中继看不到查询内容
+ * - 目标模式：配置了ODOH_PRIVATE_KEY时，不带targethost的请求在本地解密，通过DoH上游解析后加密返回
+ * 两种模式都不会把客户端的地址或请求头传给下一跳
+ */
+export class ODoHProxy extends DoHProxy {
+  // 客户端类型名称（用于错误提示）
+  static CLIENT_NAME = 'ODoH';
+
+  /**
+   * 处理ODoH查询请求
+   * @param {Request} req - 请求对象
+   * @returns {Promise<Response>} 响应对象
+   */
+  async handleDnsQuery(req) {
+    const url = new URL(req.url);
+    const contentType = req.headers.get('content-type') || '';
+    if (req.method !== 'POST' || !contentType.startsWith(ObliviousDns.CONTENT_TYPE)) {
+      return new Response(`This is a DNS proxy. Please use a ${this.constructor.CLIENT_NAME} client.`, { status: 400 });
+    }
+
+    const targetHost = url.searchParams.get('targethost');
+    if (targetHost) {
+      return await this.relay(req, targetHost, url.searchParams.get('targetpath') || '/dns-query');
+    }
+    if (!this.config.ODOH_PRIVATE_KEY) {
+      return new Response("Missing targethost parameter", { status: 400 });
+    }
+    return await this.handleTargetQuery(req);
+  }
+
+  /**
+   * 中继：将加密的查询转发到目标
+   * @param {Request} req - 请求对象
+   * @param {string} targetHost - 目标主机
+   * @param {string} targetPath - 目标路径
+   * @returns {Promise<Response>} 目标的响应
+   */
+  async relay(req, targetHost, targetPath) {
+    let targetUrl;
+    try {
+      targetUrl = new URL(`https://${targetHost}${targetPath.startsWith('/') ? '' : '/'}${targetPath}`);
+      if (targetUrl.host !== targetHost.toLowerCase()) {
+        throw new Error(`Invalid targethost: ${targetHost}`);
+      }
+    } catch (error) {
+      return this.handleError(error, "ODoH target parsing", 400);
+    }
+
+    // 限制可中继的目标，避免被用作任意地址的请求转发
+    const allowedTargets = ConfigManager.getListValue(this.config, 'ODOH_TARGET_HOSTS');
+    if (allowedTargets.length && !PatternMatcher.matchHost(targetUrl.hostname, allowedTargets)) {
+      return this.handleError(new Error(`ODoH target is not allowed: ${targetUrl.hostname}`), "ODoH target check", 403);
+    }
+    const denied = AccessControl.checkUrl(targetUrl.href, this.config);
+    if (denied) {
+      return this.handleError(new Error(denied), "ODoH target check", 403);
+    }
+
+    try {
+      this.log("Relaying ODoH query", targetUrl.href);
+      // 只转发加密的报文，不携带客户端的任何请求头
+      const response = await fetch(new Request(targetUrl.href, {
+        method: 'POST',
+        headers: { 'content-type': ObliviousDns.CONTENT_TYPE, 'accept': ObliviousDns.CONTENT_TYPE },
+        body: await req.arrayBuffer(),
+        // 重定向目标未经过ODOH_TARGET_HOSTS和访问控制检查，不跟随
+        redirect: 'manual',
+      }));
+      return new Response(response.body, {
+        status: response.status,
+        headers: {
+          'content-type': response.headers.get('content-type') || ObliviousDns.CONTENT_TYPE,
+          'cache-control': 'no-store',
+        },
+      });
+    } catch (error) {
+      return this.handleError(error, "ODoH relay", 502);
+    }
+  }
+
+  /**
+   * 目标：解密查询，通过上游解析后加密响应
+   * @param {Request} req - 请求对象
+   * @returns {Promise<Response>} 加密的响应
+   */
+  async handleTargetQuery(req) {
+    let key;
+    try {
+      key = await ObliviousDns.loadKey(this.config.ODOH_PRIVATE_KEY);
+    } catch (error) {
+      return this.handleError(error, "ODoH key loading", 500);
+    }
+
+    let request;
+    try {
+      request = await ObliviousDns.decryptQuery(new Uint8Array(await req.arrayBuffer()), key);
+      this.validateQuery(request.query);
+    } catch (error) {
+      // 密钥ID不匹配时返回401，客户端应重新获取密钥配置
+      return this.handleError(error, "ODoH query decryption", error.keyMismatch ? 401 : 400);
+    }
+
+    let body;
+    try {
+      // 目标看不到客户端地址，不传递客户端IP
+      const { answer } = await this.resolve(request.query, null);
+      const padding = this.config.DNS_PADDING === true || String(this.config.DNS_PADDING).toLowerCase() === 'true';
+      body = await ObliviousDns.encryptResponse(answer, request, padding ? EdnsPolicy.RESPONSE_BLOCK_SIZE : 0);
+    } catch (error) {
+      return this.handleError(error, `${this.constructor.CLIENT_NAME} query`, 502);
+    }
+    return new Response(body, {
+      headers: { 'content-type': ObliviousDns.CONTENT_TYPE, 'cache-control': 'no-store' },
+    });
+  }
+
+  /**
+   * 返回目标的密钥配置（/.well-known/odohconfigs）
+   * @returns {Promise<Response>} 响应对象
+   */
+  async handleConfigsRequest() {
+    try {
+      const key = await ObliviousDns.loadKey(this.config.ODOH_PRIVATE_KEY);
+      return new Response(ObliviousDns.encodeConfigs(key.contents), {
+        headers: { 'content-type': 'application/octet-stream', 'cache-control': 'max-age=86400' },
+      });
+    } catch (error) {
+      return this.handleError(error, "ODoH key loading", 500);
+    }
+  }
+}
\ No newline at end of file
@@ -1,18 +1,41 @@
 import { connect } from 'cloudflare:sockets';
 import { BaseProxy } from './base.js';
+import { ConfigManager } from '../config.js';
+import { EgressResolver } from '../dns/resolver.js';
+import { IPUtils } from '../utils/ip.js';
 
 /**
  * SOCKS5代理类
- * 使用SOCKS5代理进行连接
+ * 使用SOCKS5代理进行连接，SOCKS5_ADDRESS配置多个出口时按SOCKS5_POLICY选择，失败时依次尝试下一个出口
  */
 export class Socks5Proxy extends BaseProxy {
+  // 出口选择策略
+  static POLICIES = ['round-robin', 'random', 'weighted', 'sticky'];
+
+  // 按请求指定出口的请求头，值为出口的 host:port
+  static EXIT_HEADER = 'X-Spectre-Socks5-Exit';
+
+  // 冷却中的出口：出口名称 -> 冷却结束时间，在同一isolate的请求之间共享
+  static cooldowns = new Map();
+
+  // 轮询位置，在同一isolate的请求之间共享
+  static cursor = 0;
+
   /**
    * 构造函数
    * @param {object} config - 配置对象
    */
   constructor(config) {
     super(config);
-    this.parsedSocks5Address = this.parseSocks5Address(config.SOCKS5_ADDRESS);
+    this.exits = this.parseSocks5Exits(ConfigManager.getListValue(config, 'SOCKS5_ADDRESS'));
+    this.policy = String(config.SOCKS5_POLICY || 'round-robin').toLowerCase();
+    if (!Socks5Proxy.POLICIES.includes(this.policy)) {
+      throw new Error(`Invalid SOCKS5 policy: ${config.SOCKS5_POLICY}`);
+    }
+    this.cooldown = Number(config.SOCKS5_COOLDOWN) || 0;
+    this.handshakeTimeout = Number(config.SOCKS5_HANDSHAKE_TIMEOUT) || 0;
+    // 请求通过EXIT_HEADER指定的出口
+    this.requestedExit = null;
   }
 
   /**
@@ -40,66 +63,19 @@ export class Socks5Proxy extends BaseProxy {
    * @returns {Promise<Response>} 响应对象
    */
   async connectWebSocket(req, dstUrl) {
-    const targetUrl = new URL(dstUrl);
-    
     // 如果目标URL不支持WebSocket协议，返回错误响应
     if (!/^wss?:\/\//i.test(dstUrl)) {
       return new Response("Target does not support WebSocket", { status: 400 });
     }
     
-    // 通过SOCKS5代理连接
-    const socket = await this.socks5Connect(
-      2, // domain name
-      targetUrl.hostname,
-      Number(targetUrl.port) || (targetUrl.protocol === "wss:" ? 443 : 80)
-    );
-  
-    // 生成WebSocket握手所需的密钥
-    const key = this.generateWebSocketKey();
-
-    // 清理头部信息
-    const cleanedHeaders = this.filterHeaders(req.headers);
-    
-    // 构建握手所需的HTTP头部
-    cleanedHeaders.set('Host', targetUrl.hostname);
-    cleanedHeaders.set('Connection', 'Upgrade');
-    cleanedHeaders.set('Upgrade', 'websocket');
-    cleanedHeaders.set('Sec-WebSocket-Version', '13');
-    cleanedHeaders.set('Sec-WebSocket-Key', key);
-  
-    // 组装WebSocket握手的HTTP请求数据
-    const handshakeReq =
-      `GET ${targetUrl.pathname}${targetUrl.search} HTTP/1.1\r\n` +
-      Array.from(cleanedHeaders.entries())
-        .map(([k, v]) => `${k}: ${v}`)
-        .join('\r\n') +
-      '\r\n\r\n';
+    // 检查目标地址是否符合访问控制规则
+    const denied = this.checkDestination(dstUrl) || this.applyExitOverride(req);
+    if (denied) return denied;
 
-    this.log("Sending WebSocket handshake request", handshakeReq);
-    const writer = socket.writable.getWriter();
-    await writer.write(this.encoder.encode(handshakeReq));
-  
-    const reader = socket.readable.getReader();
-    const handshakeResp = await this.readUntilDoubleCRLF(reader);
-    this.log("Received handshake response", handshakeResp);
-    
-    // 验证握手响应是否表明101 Switching Protocols状态
-    if (
-      !handshakeResp.includes("101") ||
-      !handshakeResp.includes("Switching Protocols")
-    ) {
-      throw new Error("WebSocket handshake failed: " + handshakeResp);
-    }
-  
-    // 创建内部WebSocketPair
-    const webSocketPair = new WebSocketPair();
-    const client = webSocketPair[0];
-    const server = webSocketPair[1];
-    client.accept();
-    
-    // 在客户端和远程套接字之间建立双向帧中继
-    this.relayWebSocketFrames(client, socket, writer, reader);
-    return new Response(null, { status: 101, webSocket: server });
+    // 通过SOCKS5代理连接
+    const target = this.resolveTarget(dstUrl);
+    const socket = await this.openSocket(target);
+    return await this.upgradeWebSocket(socket, req, target);
   }
 
   /**
@@ -109,69 +85,202 @@ export class Socks5Proxy extends BaseProxy {
    * @returns {Promise<Response>} 响应对象
    */
   async connectHttp(req, dstUrl) {
-    const targetUrl = new URL(dstUrl);
-    
-    // 清理头部信息
-    const cleanedHeaders = this.filterHeaders(req.headers);
-    
-    // 对于标准HTTP请求：设置必需的头部（如Host并禁用压缩）
-    cleanedHeaders.set("Host", targetUrl.hostname);
-    cleanedHeaders.set("accept-encoding", "identity");
+    // 检查目标地址是否符合访问控制规则，回退链和重定向直接调用本方法，因此在这里读取请求指定的出口
+    const denied = this.checkDestination(dstUrl) || this.applyExitOverride(req);
+    if (denied) return denied;
+
+    const target = this.resolveTarget(dstUrl);
   
     try {
       // 通过SOCKS5代理连接
-      const socket = await this.socks5Connect(
-        2, // domain name
-        targetUrl.hostname,
-        Number(targetUrl.port) || (targetUrl.protocol === "https:" ? 443 : 80)
-      );
-      
-      const writer = socket.writable.getWriter();
-      
-      // 构建请求行和头部
-      const requestLine =
-        `${req.method} ${targetUrl.pathname}${targetUrl.search} HTTP/1.1\r\n` +
-        Array.from(cleanedHeaders.entries())
-          .map(([k, v]) => `${k}: ${v}`)
-          .join("\r\n") +
-        "\r\n\r\n";
-      
-      this.log("Sending request", requestLine);
-      await writer.write(this.encoder.encode(requestLine));
-    
-      // 如果有请求体，将其转发到目标服务器
-      if (req.body) {
-        this.log("Forwarding request body");
-        const reader = req.body.getReader();
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-          await writer.write(value);
-        }
-      }
-      
-      // 解析并返回目标服务器的响应
-      return await this.parseResponse(socket.readable.getReader());
+      const socket = await this.openSocket(target);
+      return await this.sendHttpRequest(socket, req, target);
     } catch (error) {
       // 使用统一的错误处理方法
       return this.handleError(error, "SOCKS5 connection");
     }
   }
 
+  /**
+   * 通过SOCKS5代理建立到目标服务器的套接字连接
+   * @param {object} target - resolveTarget返回的目标信息
+   * @returns {Promise<Socket>} Socket对象
+   */
+  async openSocket(target) {
+    // 启用EGRESS_DNS时向SOCKS服务器发送解析后的IP地址，不由SOCKS服务器解析域名
+    const { hostname, addressType } = await new EgressResolver(this.config).resolveTarget(target);
+    const socket = await this.socks5Connect(addressType, hostname, target.port);
+    // SOCKS5隧道建立后，对HTTPS/WSS目标进行端到端的TLS握手
+    return target.secure ? socket.startTls({ expectedServerHostname: target.hostname }) : socket;
+  }
+
+  /**
+   * 建立TCP隧道，支持通过EXIT_HEADER指定出口
+   * @param {Request} req - 请求对象
+   * @param {string} hostname - 目标主机名或IP地址
+   * @param {number} port - 目标端口
+   * @returns {Promise<Response>} 101响应对象
+   */
+  async connectTcpTunnel(req, hostname, port) {
+    const denied = this.applyExitOverride(req);
+    return denied || await super.connectTcpTunnel(req, hostname, port);
+  }
+
+  /**
+   * 读取请求指定的出口，指定后只使用该出口，不做故障转移
+   * @param {Request} req - 请求对象
+   * @returns {Response|null} 指定的出口不存在时返回错误响应
+   */
+  applyExitOverride(req) {
+    const requested = req.headers.get(Socks5Proxy.EXIT_HEADER)?.trim();
+    if (!requested) return null;
+    const exit = this.exits.find((e) => e.name === requested);
+    if (!exit) {
+      return this.handleError(new Error(`Unknown SOCKS5 exit: ${requested}`), "SOCKS5 exit selection", 400);
+    }
+    this.requestedExit = exit;
+    return null;
+  }
+
   /**
    * 通过SOCKS5代理连接
+   * 按选择策略依次尝试各个出口，握手失败、超时或认证失败的出口进入冷却
    * @param {number} addressType - 地址类型
    * @param {string} addressRemote - 远程地址
    * @param {number} portRemote - 远程端口
    * @returns {Promise<Socket>} Socket对象
    */
   async socks5Connect(addressType, addressRemote, portRemote) {
-    const { username, password, hostname, port } = this.parsedSocks5Address;
+    const exits = this.requestedExit ? [this.requestedExit] : this.orderExits(addressRemote);
+    let lastError;
+    for (const exit of exits) {
+      try {
+        const socket = await this.socks5Handshake(exit, addressType, addressRemote, portRemote);
+        Socks5Proxy.cooldowns.delete(exit.name);
+        return socket;
+      } catch (error) {
+        lastError = error;
+        this.log(`SOCKS5 exit ${exit.name} failed`, error.message);
+        // SOCKS服务器返回的连接失败（例如目标不可达）不是出口本身的问题，不进入冷却，但仍尝试下一个出口
+        if (error.socksReply === undefined && this.cooldown > 0) {
+          Socks5Proxy.cooldowns.set(exit.name, Date.now() + this.cooldown);
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * 按选择策略排列出口，冷却中的出口排在最后（所有出口都在冷却时仍会尝试）
+   * @param {string} host - 目标主机，sticky策略使用
+   * @returns {Array<object>} 出口列表
+   */
+  orderExits(host) {
+    let ordered;
+    switch (this.policy) {
+      case 'random':
+        ordered = this.sortByKey(this.exits, () => Math.random());
+        break;
+      case 'weighted':
+        // 加权随机排列（Efraimidis-Spirakis）
+        ordered = this.sortByKey(this.exits, (exit) => Math.random() ** (1 / exit.weight));
+        break;
+      case 'sticky':
+        // 加权的最高随机权重哈希（rendezvous hashing），出口增减或冷却时只有部分目标改变出口
+        ordered = this.sortByKey(this.exits, (exit) => -exit.weight / Math.log(this.hashUnit(`${host.toLowerCase()}|${exit.name}`)));
+        break;
+      default: {
+        const start = Socks5Proxy.cursor++ % this.exits.length;
+        ordered = [...this.exits.slice(start), ...this.exits.slice(0, start)];
+      }
+    }
+    const now = Date.now();
+    const cooling = (exit) => (Socks5Proxy.cooldowns.get(exit.name) || 0) > now;
+    return [...ordered.filter((exit) => !cooling(exit)), ...ordered.filter(cooling)];
+  }
+
+  /**
+   * 按键值从大到小排列
+   * @param {Array<object>} exits - 出口列表
+   * @param {function(object): number} key - 键值函数
+   * @returns {Array<object>} 排列后的出口列表
+   */
+  sortByKey(exits, key) {
+    return exits.map((exit) => [key(exit), exit]).sort((a, b) => b[0] - a[0]).map(([, exit]) => exit);
+  }
+
+  /**
+   * 将字符串哈希（FNV-1a）映射到 (0, 1) 区间
+   * @param {string} value - 字符串
+   * @returns {number} 哈希值
+   */
+  hashUnit(value) {
+    let hash = 0x811c9dc5;
+    for (const byte of this.encoder.encode(value)) {
+      hash = Math.imul(hash ^ byte, 0x01000193) >>> 0;
+    }
+    return (hash + 1) / 0x100000002;
+  }
+
+  /**
+   * 通过单个SOCKS5出口连接，失败时关闭到该出口的连接
+   * @param {object} exit - 出口
+   * @param {number} addressType - 地址类型
+   * @param {string} addressRemote - 远程地址
+   * @param {number} portRemote - 远程端口
+   * @returns {Promise<Socket>} Socket对象
+   */
+  async socks5Handshake(exit, addressType, addressRemote, portRemote) {
     // Connect to the SOCKS server
-    const socket = connect({
-      hostname,
-      port,
-    });
+    // 使用starttls模式，隧道建立后可以对目标服务器进行TLS握手
+    const socket = this.closeOnAbort(connect({
+      hostname: exit.hostname,
+      port: exit.port,
+    }, { secureTransport: "starttls", allowHalfOpen: false }));
+    try {
+      return await this.socks5Negotiate(socket, exit, addressType, addressRemote, portRemote);
+    } catch (error) {
+      socket.close();
+      throw error;
+    }
+  }
+
+  /**
+   * 读取SOCKS服务器的应答
+   * @param {ReadableStreamDefaultReader} reader - 读取器
+   * @param {number} deadline - 握手截止时间（毫秒时间戳），Infinity表示不限制
+   * @returns {Promise<Uint8Array>} 应答数据
+   */
+  async readReply(reader, deadline) {
+    let timer;
+    const reads = [reader.read()];
+    if (deadline !== Infinity) {
+      reads.push(new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("socks handshake timed out")), Math.max(deadline - Date.now(), 0));
+      }));
+    }
+    try {
+      const { value, done } = await Promise.race(reads);
+      if (done || !value) throw new Error("socks server closed the connection");
+      return value;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 在已连接的套接字上完成SOCKS5问候、认证和CONNECT请求
+   * @param {Socket} socket - 到SOCKS服务器的套接字
+   * @param {object} exit - 出口
+   * @param {number} addressType - 地址类型
+   * @param {string} addressRemote - 远程地址
+   * @param {number} portRemote - 远程端口
+   * @returns {Promise<Socket>} 隧道已建立的Socket对象
+   */
+  async socks5Negotiate(socket, exit, addressType, addressRemote, portRemote) {
+    const { username, password } = exit;
+    // 问候、认证和CONNECT应答共用一个截止时间，没有应答的出口不会使请求一直挂起
+    const deadline = this.handshakeTimeout ? Date.now() + this.handshakeTimeout : Infinity;
 
     // Request head format (Worker -> Socks Server):
     // +----+----------+----------+
@@ -193,7 +302,7 @@ export class Socks5Proxy extends BaseProxy {
 
     const reader = socket.readable.getReader();
     const encoder = new TextEncoder();
-    let res = (await reader.read()).value;
+    let res = await this.readReply(reader, deadline);
     // Response format (Socks Server -> Worker):
     // +----+--------+
     // |VER | METHOD |
@@ -221,15 +330,17 @@ export class Socks5Proxy extends BaseProxy {
       // +----+------+----------+------+----------+
       // | 1  |  1   | 1 to 255 |  1   | 1 to 255 |
       // +----+------+----------+------+----------+
+      const usernameBytes = encoder.encode(username);
+      const passwordBytes = encoder.encode(password);
       const authRequest = new Uint8Array([
         1,
-        username.length,
-        ...encoder.encode(username),
-        password.length,
-        ...encoder.encode(password)
+        usernameBytes.length,
+        ...usernameBytes,
+        passwordBytes.length,
+        ...passwordBytes
       ]);
       await writer.write(authRequest);
-      res = (await reader.read()).value;
+      res = await this.readReply(reader, deadline);
       // expected 0x0100
       if (res[0] !== 0x01 || res[1] !== 0x00) {
         this.log("fail to auth socks server");
@@ -261,16 +372,23 @@ export class Socks5Proxy extends BaseProxy {
           [1, ...addressRemote.split('.').map(Number)]
         );
         break;
-      case 2:
+      case 2: {
+        const domainBytes = encoder.encode(addressRemote);
         DSTADDR = new Uint8Array(
-          [3, addressRemote.length, ...encoder.encode(addressRemote)]
+          [3, domainBytes.length, ...domainBytes]
         );
         break;
-      case 3:
+      }
+      case 3: {
+        const ipv6Bytes = IPUtils.parseIPv6(addressRemote);
+        if (!ipv6Bytes) {
+          throw new Error(`invalid IPv6 address ${addressRemote}`);
+        }
         DSTADDR = new Uint8Array(
-          [4, ...addressRemote.split(':').flatMap(x => [parseInt(x.slice(0, 2), 16), parseInt(x.slice(2), 16)])]
+          [4, ...ipv6Bytes]
         );
         break;
+      }
       default:
         this.log(`invalid addressType is ${addressType}`);
         throw new Error(`invalid addressType is ${addressType}`);
@@ -279,7 +397,7 @@ export class Socks5Proxy extends BaseProxy {
     await writer.write(socksRequest);
     this.log('sent socks request');
 
-    res = (await reader.read()).value;
+    res = await this.readReply(reader, deadline);
     // Response format (Socks Server -> Worker):
     //  +----+-----+-------+------+----------+----------+
     // |VER | REP |  RSV  | ATYP | BND.ADDR | BND.PORT |
@@ -290,13 +408,33 @@ export class Socks5Proxy extends BaseProxy {
       this.log("socks connection opened");
     } else {
       this.log("fail to open socks connection");
-      throw new Error("fail to open socks connection");
+      throw Object.assign(new Error("fail to open socks connection"), { socksReply: res[1] });
     }
     writer.releaseLock();
     reader.releaseLock();
     return socket;
   }
 
+  /**
+   * 解析SOCKS5出口列表，每个出口末尾可带 ";weight=<n>" 指定权重
+   * @param {string[]} addresses - SOCKS5地址列表
+   * @returns {Array<object>} 出口列表，name为 host:port
+   */
+  parseSocks5Exits(addresses) {
+    if (!addresses.length) {
+      throw new Error('Invalid SOCKS address format');
+    }
+    return addresses.map((entry) => {
+      const match = entry.match(/^(.*);weight=(\d+)$/i);
+      const weight = match ? Number(match[2]) : 1;
+      if (weight < 1) {
+        throw new Error(`Invalid SOCKS5 exit weight: ${entry}`);
+      }
+      const address = this.parseSocks5Address(match ? match[1] : entry);
+      return { ...address, weight, name: `${address.hostname}:${address.port}` };
+    });
+  }
+
   /**
    * 解析SOCKS5地址
    * @param {string} address - SOCKS5地址
@@ -44,6 +44,10 @@ export class ThirdPartyProxy extends BaseProxy {
       return this.handleError(new Error("Third party proxy URL is not configured"), "Third party proxy connection", 500);
     }
 
+    // 检查作为target参数传递的目标地址是否符合访问控制规则
+    const denied = this.checkDestination(dstUrl);
+    if (denied) return denied;
+
     const proxyUrlObj = new URL(thirdPartyProxyUrl);
     proxyUrlObj.searchParams.set('target', dstUrl);
 
@@ -53,6 +57,7 @@ export class ThirdPartyProxy extends BaseProxy {
       headers: req.headers,
       body: req.body,
       redirect: 'manual', // 防止代理本身发生重定向
+      signal: this.signal,
     });
 
     try {
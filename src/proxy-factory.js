@@ -1,16 +1,25 @@
 import { SocketProxy } from './proxies/socket.js';
 import { FetchProxy } from './proxies/fetch.js';
 import { Socks5Proxy } from './proxies/socks5.js';
+import { HttpProxy } from './proxies/http-proxy.js';
 import { ThirdPartyProxy } from './proxies/third-party.js';
 import { CloudProviderProxy } from './proxies/cloud-provider.js';
 import { DoHProxy } from './proxies/doh.js';
 import { DoTProxy } from './proxies/dot.js';
+import { ODoHProxy } from './proxies/odoh.js';
+import { DnsSocks5Proxy } from './proxies/dns-socks5.js';
 
 /**
  * 代理工厂类
  * 根据配置创建相应的代理实例
  */
 export class ProxyFactory {
+  // 可用于HTTP/WebSocket请求的代理策略
+  static HTTP_STRATEGIES = ['socket', 'fetch', 'socks5', 'httpproxy', 'thirdparty', 'cloudprovider'];
+
+  // 可以建立原始套接字连接（实现了openSocket）的策略，可用于TCP隧道
+  static SOCKET_STRATEGIES = ['socket', 'socks5', 'httpproxy'];
+
   /**
    * 创建代理实例
    * @param {object} config - 配置对象
@@ -26,6 +35,8 @@ export class ProxyFactory {
         return new FetchProxy(config);
       case 'socks5':
         return new Socks5Proxy(config);
+      case 'httpproxy':
+        return new HttpProxy(config);
       case 'thirdparty':
         return new ThirdPartyProxy(config);
       case 'cloudprovider':
@@ -34,6 +45,10 @@ export class ProxyFactory {
         return new DoHProxy(config);
       case 'dot':
         return new DoTProxy(config);
+      case 'odoh':
+        return new ODoHProxy(config);
+      case 'dns-socks5':
+        return new DnsSocks5Proxy(config);
       default:
         // 默认Socket代理
         return new SocketProxy(config);
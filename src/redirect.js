@@ -0,0 +1,157 @@
+import { ProxyFactory } from './proxy-factory.js';
+import { AccessControl } from './access-control.js';
+import { AuthManager } from './auth.js';
+
+/**
+ * 重定向处理器
+ * 根据REDIRECT_MODE在Worker内部跟随重定向，或将重定向地址改写为代理URL
+ */
+export class RedirectHandler {
+  // 可用的重定向处理方式
+  static MODES = ['none', 'follow', 'rewrite'];
+
+  // 重定向状态码
+  static STATUSES = [301, 302, 303, 307, 308];
+
+  // 需要改写为代理URL的响应头部
+  static LOCATION_HEADERS = ['Location', 'Content-Location'];
+
+  /**
+   * 构造函数
+   * @param {object} config - 配置对象
+   * @param {object|null} principal - 令牌权限，跟随重定向时用于检查目标主机
+   * @param {ProxiedUrl|null} proxiedUrl - 代理URL构造器，rewrite模式下使用
+   */
+  constructor(config, principal = null, proxiedUrl = null) {
+    this.config = config;
+    this.principal = principal;
+    this.proxiedUrl = proxiedUrl;
+    this.mode = String(config.REDIRECT_MODE || 'none').toLowerCase();
+    if (!RedirectHandler.MODES.includes(this.mode)) {
+      throw new Error(`Invalid redirect mode: ${config.REDIRECT_MODE}`);
+    }
+    this.log = config.DEBUG_MODE
+      ? (message, data = "") => console.log(`[DEBUG] ${message}`, data)
+      : () => {};
+  }
+
+  /**
+   * 准备请求
+   * follow模式下307/308重定向需要重新发送请求体，因此保留一个请求的克隆
+   * @param {Request} req - 请求对象
+   */
+  prepare(req) {
+    this.replay = this.mode === 'follow' && req.body ? req.clone() : null;
+  }
+
+  /**
+   * 处理代理返回的响应
+   * @param {Response} response - 响应对象
+   * @param {Request} req - 原始请求
+   * @param {string} dstUrl - 目标URL
+   * @returns {Promise<Response>} 处理后的响应
+   */
+  async handle(response, req, dstUrl) {
+    if (this.mode === 'follow') {
+      return await this.follow(response, req, dstUrl);
+    }
+    if (this.mode === 'rewrite' && this.proxiedUrl) {
+      return this.rewrite(response, dstUrl);
+    }
+    return response;
+  }
+
+  /**
+   * 在Worker内部跟随重定向
+   * 每一跳使用与首次响应相同的策略（X-Spectre-Hop），并重新检查访问控制规则和令牌权限
+   * @param {Response} response - 首次响应
+   * @param {Request} req - 原始请求
+   * @param {string} dstUrl - 目标URL
+   * @returns {Promise<Response>} 最终响应
+   */
+  async follow(response, req, dstUrl) {
+    const maxRedirects = Number(this.config.MAX_REDIRECTS) || 0;
+    const hop = response.headers.get('X-Spectre-Hop') || this.config.PROXY_STRATEGY;
+    const hopIndex = response.headers.get('X-Spectre-Hop-Index');
+    let method = req.method;
+    const headers = new Headers(req.headers);
+    let body = null;
+    let currentUrl = dstUrl;
+    let current = response;
+    let count = 0;
+
+    while (RedirectHandler.STATUSES.includes(current.status) && current.headers.has('Location')) {
+      let nextUrl;
+      try {
+        nextUrl = new URL(current.headers.get('Location'), currentUrl);
+      } catch (e) {
+        return current;
+      }
+      // 只跟随HTTP(S)重定向，其他协议原样返回给客户端
+      if (nextUrl.protocol !== 'http:' && nextUrl.protocol !== 'https:') {
+        return current;
+      }
+      current.body?.cancel();
+
+      if (++count > maxRedirects) {
+        return new Response(`Error: too many redirects (max ${maxRedirects})`, { status: 502 });
+      }
+      const denied = AccessControl.checkUrl(nextUrl.href, this.config);
+      if (denied) {
+        return new Response(`Redirect destination is not allowed: ${denied}`, { status: 403 });
+      }
+      if (this.principal && !AuthManager.canAccessHost(this.principal, nextUrl.hostname)) {
+        return new Response("Redirect destination host is not allowed for this token", { status: 403 });
+      }
+
+      // 303以及POST请求的301/302重定向改为不带请求体的GET请求，其他情况重新发送原请求体
+      if ((current.status === 303 && method !== 'GET' && method !== 'HEAD') ||
+          ((current.status === 301 || current.status === 302) && method === 'POST')) {
+        method = 'GET';
+        body = null;
+        this.replay = null;
+        for (const name of ['Content-Type', 'Content-Length', 'Content-Encoding', 'Content-Language', 'Content-Location']) {
+          headers.delete(name);
+        }
+      } else if (this.replay) {
+        body = await this.replay.arrayBuffer();
+        this.replay = null;
+      }
+      // 跨域重定向时不转发凭据
+      if (nextUrl.origin !== new URL(currentUrl).origin) {
+        headers.delete('Authorization');
+        headers.delete('Cookie');
+      }
+
+      this.log(`Following redirect ${count} via ${hop} to`, nextUrl.href);
+      currentUrl = nextUrl.href;
+      const proxy = ProxyFactory.createProxy({ ...this.config, PROXY_STRATEGY: hop });
+      current = await proxy.connectHttp(new Request(currentUrl, { method, headers, body }), currentUrl);
+    }
+
+    if (count === 0) return current;
+    const final = new Response(current.body, current);
+    final.headers.set('X-Spectre-Hop', hop);
+    if (hopIndex !== null) final.headers.set('X-Spectre-Hop-Index', hopIndex);
+    final.headers.set('X-Spectre-Final-Url', currentUrl);
+    return final;
+  }
+
+  /**
+   * 将Location和Content-Location改写为代理URL，使客户端的下一次请求仍经过代理
+   * @param {Response} response - 响应对象
+   * @param {string} dstUrl - 目标URL，用于解析相对地址
+   * @returns {Response} 改写后的响应
+   */
+  rewrite(response, dstUrl) {
+    const names = RedirectHandler.LOCATION_HEADERS.filter((name) => response.headers.has(name));
+    if (!names.length) return response;
+    const rewritten = new Response(response.body, response);
+    for (const name of names) {
+      const value = this.proxiedUrl.rewrite(response.headers.get(name), dstUrl);
+      this.log(`Rewriting ${name} to`, value);
+      rewritten.headers.set(name, value);
+    }
+    return rewritten;
+  }
+}
\ No newline at end of file
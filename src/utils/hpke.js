@@ -0,0 +1,299 @@
+const encoder = new TextEncoder();
+
+/**
+ * HPKE工具类（RFC 9180）
+ * 只实现Base模式和 DHKEM(X25519, HKDF-SHA256) / HKDF-SHA256 / AES-128-GCM 套件，基于WebCrypto
+ */
+export class Hpke {
+  // 算法标识
+  static KEM_ID = 0x0020;
+  static KDF_ID = 0x0001;
+  static AEAD_ID = 0x0001;
+
+  // 封装密钥、AEAD密钥、nonce和哈希的长度
+  static NENC = 32;
+  static NK = 16;
+  static NN = 12;
+  static NH = 32;
+
+  // X25519私钥的PKCS#8前缀，用于导入原始私钥
+  static PKCS8_PREFIX = Uint8Array.from([
+    0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x6e, 0x04, 0x22, 0x04, 0x20,
+  ]);
+
+  /**
+   * 导入原始X25519私钥并计算公钥
+   * @param {Uint8Array} bytes - 32字节私钥
+   * @returns {Promise<object>} {privateKey: CryptoKey, publicKey: 32字节公钥}
+   */
+  static async importPrivateKey(bytes) {
+    if (bytes.length !== 32) {
+      throw new Error(`Invalid X25519 private key length: ${bytes.length}`);
+    }
+    const privateKey = await crypto.subtle.importKey(
+      'pkcs8', this.concat(this.PKCS8_PREFIX, bytes), { name: 'X25519' }, true, ['deriveBits']
+    );
+    const jwk = await crypto.subtle.exportKey('jwk', privateKey);
+    const x = jwk.x.replace(/-/g, '+').replace(/_/g, '/');
+    const publicKey = Uint8Array.from(atob(x.padEnd(Math.ceil(x.length / 4) * 4, '=')), (c) => c.charCodeAt(0));
+    return { privateKey, publicKey };
+  }
+
+  /**
+   * 发送方建立加密上下文
+   * @param {Uint8Array} publicKey - 接收方公钥
+   * @param {Uint8Array} info - 应用信息
+   * @returns {Promise<object>} {enc: 封装的临时公钥, context: HpkeContext}
+   */
+  static async setupBaseS(publicKey, info) {
+    const ephemeral = await crypto.subtle.generateKey({ name: 'X25519' }, true, ['deriveBits']);
+    const enc = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+    const dh = await this.dh(ephemeral.privateKey, publicKey);
+    const sharedSecret = await this.extractAndExpand(dh, this.concat(enc, publicKey));
+    return { enc, context: await this.keySchedule(sharedSecret, info) };
+  }
+
+  /**
+   * 接收方建立解密上下文
+   * @param {Uint8Array} enc - 封装的临时公钥
+   * @param {object} keyPair - importPrivateKey返回的密钥对
+   * @param {Uint8Array} info - 应用信息
+   * @returns {Promise<HpkeContext>} 上下文
+   */
+  static async setupBaseR(enc, keyPair, info) {
+    const dh = await this.dh(keyPair.privateKey, enc);
+    const sharedSecret = await this.extractAndExpand(dh, this.concat(enc, keyPair.publicKey));
+    return await this.keySchedule(sharedSecret, info);
+  }
+
+  /**
+   * X25519密钥交换
+   * @param {CryptoKey} privateKey - 私钥
+   * @param {Uint8Array} publicKey - 对方公钥
+   * @returns {Promise<Uint8Array>} 共享值
+   */
+  static async dh(privateKey, publicKey) {
+    const peer = await crypto.subtle.importKey('raw', publicKey, { name: 'X25519' }, true, []);
+    return new Uint8Array(await crypto.subtle.deriveBits({ name: 'X25519', public: peer }, privateKey, 256));
+  }
+
+  /**
+   * DHKEM的ExtractAndExpand
+   * @param {Uint8Array} dh - 共享值
+   * @param {Uint8Array} kemContext - enc || pkR
+   * @returns {Promise<Uint8Array>} 共享密钥
+   */
+  static async extractAndExpand(dh, kemContext) {
+    const suiteId = this.concat(encoder.encode('KEM'), this.i2osp(this.KEM_ID, 2));
+    const prk = await this.labeledExtract(suiteId, new Uint8Array(0), 'eae_prk', dh);
+    return await this.labeledExpand(suiteId, prk, 'shared_secret', kemContext, this.NH);
+  }
+
+  /**
+   * Base模式的密钥调度
+   * @param {Uint8Array} sharedSecret - 共享密钥
+   * @param {Uint8Array} info - 应用信息
+   * @returns {Promise<HpkeContext>} 上下文
+   */
+  static async keySchedule(sharedSecret, info) {
+    const suiteId = this.concat(
+      encoder.encode('HPKE'), this.i2osp(this.KEM_ID, 2), this.i2osp(this.KDF_ID, 2), this.i2osp(this.AEAD_ID, 2)
+    );
+    const empty = new Uint8Array(0);
+    const pskIdHash = await this.labeledExtract(suiteId, empty, 'psk_id_hash', empty);
+    const infoHash = await this.labeledExtract(suiteId, empty, 'info_hash', info);
+    const context = this.concat(new Uint8Array([0]), pskIdHash, infoHash);
+    const secret = await this.labeledExtract(suiteId, sharedSecret, 'secret', empty);
+    return new HpkeContext(
+      await this.labeledExpand(suiteId, secret, 'key', context, this.NK),
+      await this.labeledExpand(suiteId, secret, 'base_nonce', context, this.NN),
+      await this.labeledExpand(suiteId, secret, 'exp', context, this.NH),
+      suiteId
+    );
+  }
+
+  /**
+   * LabeledExtract
+   * @param {Uint8Array} suiteId - 套件标识
+   * @param {Uint8Array} salt - 盐
+   * @param {string} label - 标签
+   * @param {Uint8Array} ikm - 输入密钥材料
+   * @returns {Promise<Uint8Array>} 伪随机密钥
+   */
+  static async labeledExtract(suiteId, salt, label, ikm) {
+    return await this.extract(salt, this.concat(encoder.encode('HPKE-v1'), suiteId, encoder.encode(label), ikm));
+  }
+
+  /**
+   * LabeledExpand
+   * @param {Uint8Array} suiteId - 套件标识
+   * @param {Uint8Array} prk - 伪随机密钥
+   * @param {string} label - 标签
+   * @param {Uint8Array} info - 上下文信息
+   * @param {number} length - 输出长度
+   * @returns {Promise<Uint8Array>} 输出密钥材料
+   */
+  static async labeledExpand(suiteId, prk, label, info, length) {
+    const labeledInfo = this.concat(this.i2osp(length, 2), encoder.encode('HPKE-v1'), suiteId, encoder.encode(label), info);
+    return await this.expand(prk, labeledInfo, length);
+  }
+
+  /**
+   * HKDF-Extract（RFC 5869）
+   * @param {Uint8Array} salt - 盐，为空时使用全零
+   * @param {Uint8Array} ikm - 输入密钥材料
+   * @returns {Promise<Uint8Array>} 伪随机密钥
+   */
+  static async extract(salt, ikm) {
+    return await this.hmac(salt.length ? salt : new Uint8Array(this.NH), ikm);
+  }
+
+  /**
+   * HKDF-Expand（RFC 5869）
+   * @param {Uint8Array} prk - 伪随机密钥
+   * @param {Uint8Array} info - 上下文信息
+   * @param {number} length - 输出长度
+   * @returns {Promise<Uint8Array>} 输出密钥材料
+   */
+  static async expand(prk, info, length) {
+    const output = new Uint8Array(length);
+    let block = new Uint8Array(0);
+    for (let offset = 0, counter = 1; offset < length; counter++) {
+      block = await this.hmac(prk, this.concat(block, info, new Uint8Array([counter])));
+      output.set(block.subarray(0, Math.min(block.length, length - offset)), offset);
+      offset += block.length;
+    }
+    return output;
+  }
+
+  /**
+   * HMAC-SHA256
+   * @param {Uint8Array} key - 密钥
+   * @param {Uint8Array} data - 数据
+   * @returns {Promise<Uint8Array>} 消息认证码
+   */
+  static async hmac(key, data) {
+    const hmacKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, data));
+  }
+
+  /**
+   * AES-GCM加密
+   * @param {Uint8Array} key - 密钥
+   * @param {Uint8Array} nonce - nonce
+   * @param {Uint8Array} aad - 附加认证数据
+   * @param {Uint8Array} plaintext - 明文
+   * @returns {Promise<Uint8Array>} 密文（含认证标签）
+   */
+  static async seal(key, nonce, aad, plaintext) {
+    const aesKey = await crypto.subtle.importKey('raw', key, { name: 'AES-GCM' }, false, ['encrypt']);
+    return new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce, additionalData: aad }, aesKey, plaintext));
+  }
+
+  /**
+   * AES-GCM解密，认证失败时抛出异常
+   * @param {Uint8Array} key - 密钥
+   * @param {Uint8Array} nonce - nonce
+   * @param {Uint8Array} aad - 附加认证数据
+   * @param {Uint8Array} ciphertext - 密文
+   * @returns {Promise<Uint8Array>} 明文
+   */
+  static async open(key, nonce, aad, ciphertext) {
+    const aesKey = await crypto.subtle.importKey('raw', key, { name: 'AES-GCM' }, false, ['decrypt']);
+    try {
+      return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: nonce, additionalData: aad }, aesKey, ciphertext));
+    } catch (error) {
+      throw new Error("HPKE decryption failed");
+    }
+  }
+
+  /**
+   * 整数转换为大端字节（I2OSP）
+   * @param {number} value - 整数
+   * @param {number} length - 字节数
+   * @returns {Uint8Array} 字节
+   */
+  static i2osp(value, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0 && value > 0; i--) {
+      bytes[i] = value & 0xff;
+      value = Math.floor(value / 256);
+    }
+    return bytes;
+  }
+
+  /**
+   * 拼接字节数组
+   * @param {...Uint8Array} parts - 字节数组
+   * @returns {Uint8Array} 拼接结果
+   */
+  static concat(...parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      result.set(part, offset);
+      offset += part.length;
+    }
+    return result;
+  }
+}
+
+/**
+ * HPKE加密上下文
+ * 每次加密或解密后序号递增，nonce为base_nonce与序号的异或
+ */
+class HpkeContext {
+  /**
+   * 构造函数
+   * @param {Uint8Array} key - AEAD密钥
+   * @param {Uint8Array} baseNonce - 基础nonce
+   * @param {Uint8Array} exporterSecret - 导出密钥
+   * @param {Uint8Array} suiteId - 套件标识
+   */
+  constructor(key, baseNonce, exporterSecret, suiteId) {
+    this.key = key;
+    this.baseNonce = baseNonce;
+    this.exporterSecret = exporterSecret;
+    this.suiteId = suiteId;
+    this.sequence = 0;
+  }
+
+  /**
+   * 计算当前序号的nonce并递增序号
+   * @returns {Uint8Array} nonce
+   */
+  nextNonce() {
+    const nonce = Hpke.i2osp(this.sequence++, Hpke.NN);
+    return nonce.map((byte, i) => byte ^ this.baseNonce[i]);
+  }
+
+  /**
+   * 加密
+   * @param {Uint8Array} aad - 附加认证数据
+   * @param {Uint8Array} plaintext - 明文
+   * @returns {Promise<Uint8Array>} 密文
+   */
+  async seal(aad, plaintext) {
+    return await Hpke.seal(this.key, this.nextNonce(), aad, plaintext);
+  }
+
+  /**
+   * 解密
+   * @param {Uint8Array} aad - 附加认证数据
+   * @param {Uint8Array} ciphertext - 密文
+   * @returns {Promise<Uint8Array>} 明文
+   */
+  async open(aad, ciphertext) {
+    return await Hpke.open(this.key, this.nextNonce(), aad, ciphertext);
+  }
+
+  /**
+   * 导出密钥（Secret Export）
+   * @param {Uint8Array} exporterContext - 导出上下文
+   * @param {number} length - 输出长度
+   * @returns {Promise<Uint8Array>} 导出的密钥
+   */
+  async export(exporterContext, length) {
+    return await Hpke.labeledExpand(this.suiteId, this.exporterSecret, 'sec', exporterContext, length);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * IP地址工具类
+ * 负责识别和解析IPv4/IPv6地址以及CIDR匹配
+ */
+export class IPUtils {
+  /**
+   * 检查是否为IPv4地址
+   * @param {string} address - 地址
+   * @returns {boolean} 是否为IPv4地址
+   */
+  static isIPv4(address) {
+    return this.parseIPv4(address) !== null;
+  }
+
+  /**
+   * 检查是否为IPv6地址（可带方括号）
+   * @param {string} address - 地址
+   * @returns {boolean} 是否为IPv6地址
+   */
+  static isIPv6(address) {
+    return this.parseIPv6(address) !== null;
+  }
+
+  /**
+   * 解析IPv4地址
+   * @param {string} address - 点分十进制地址
+   * @returns {Uint8Array|null} 4字节地址，无效时返回null
+   */
+  static parseIPv4(address) {
+    if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) return null;
+    const octets = address.split('.').map(Number);
+    if (octets.some((n) => n > 255)) return null;
+    return new Uint8Array(octets);
+  }
+
+  /**
+   * 解析IPv6地址，支持::缩写、末尾嵌入的IPv4地址以及方括号和区域标识
+   * @param {string} address - IPv6地址
+   * @returns {Uint8Array|null} 16字节地址，无效时返回null
+   */
+  static parseIPv6(address) {
+    let addr = address.replace(/^\[(.*)\]$/, '$1').split('%')[0];
+    if (!addr.includes(':')) return null;
+
+    // 将末尾嵌入的IPv4地址转换为两个16位分组
+    const lastColon = addr.lastIndexOf(':');
+    const last = addr.slice(lastColon + 1);
+    if (last.includes('.')) {
+      const v4 = this.parseIPv4(last);
+      if (!v4) return null;
+      addr = `${addr.slice(0, lastColon + 1)}${((v4[0] << 8) | v4[1]).toString(16)}:${((v4[2] << 8) | v4[3]).toString(16)}`;
+    }
+
+    const halves = addr.split('::');
+    if (halves.length > 2) return null;
+    const head = halves[0] === '' ? [] : halves[0].split(':');
+    const tail = halves.length === 2 && halves[1] !== '' ? halves[1].split(':') : [];
+    const total = head.length + tail.length;
+    if ((halves.length === 1 && total !== 8) || (halves.length === 2 && total > 7)) return null;
+
+    const groups = [...head, ...new Array(8 - total).fill('0'), ...tail];
+    const bytes = new Uint8Array(16);
+    for (let i = 0; i < 8; i++) {
+      if (!/^[0-9a-f]{1,4}$/i.test(groups[i])) return null;
+      const value = parseInt(groups[i], 16);
+      bytes[i * 2] = value >> 8;
+      bytes[i * 2 + 1] = value & 0xff;
+    }
+    return bytes;
+  }
+
+  /**
+   * 解析IPv4或IPv6地址
+   * @param {string} address - 地址
+   * @returns {Uint8Array|null} 4或16字节地址，不是IP地址时返回null
+   */
+  static parse(address) {
+    return this.parseIPv4(address) || this.parseIPv6(address);
+  }
+
+  /**
+   * 将16字节IPv6地址格式化为压缩文本形式（RFC 5952）
+   * @param {Uint8Array} bytes - 16字节地址
+   * @returns {string} IPv6地址文本
+   */
+  static formatIPv6(bytes) {
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+      groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+    }
+    // 找到最长的连续0分组（至少2个）替换为 ::
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < 8; ) {
+      if (groups[i] !== '0') {
+        i++;
+        continue;
+      }
+      let j = i;
+      while (j < 8 && groups[j] === '0') j++;
+      if (j - i > bestLength) {
+        bestStart = i;
+        bestLength = j - i;
+      }
+      i = j;
+    }
+    if (bestStart === -1) return groups.join(':');
+    const head = groups.slice(0, bestStart).join(':');
+    const tail = groups.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+  }
+
+  /**
+   * 获取IPv4映射地址（::ffff:0:0/96）或NAT64地址（64:ff9b::/96）中嵌入的IPv4地址
+   * @param {Uint8Array} bytes - 16字节IPv6地址
+   * @returns {Uint8Array|null} 4字节IPv4地址，不是此类地址时返回null
+   */
+  static embeddedIPv4(bytes) {
+    if (bytes.length !== 16) return null;
+    const isMapped = bytes.slice(0, 10).every((b) => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+    const isNat64 = bytes[0] === 0x00 && bytes[1] === 0x64 && bytes[2] === 0xff && bytes[3] === 0x9b &&
+      bytes.slice(4, 12).every((b) => b === 0);
+    return isMapped || isNat64 ? bytes.slice(12) : null;
+  }
+
+  /**
+   * 解析CIDR地址段
+   * @param {string} cidr - CIDR，例如 "10.0.0.0/8" 或 "fc00::/7"，不带前缀长度时视为单个地址
+   * @returns {object|null} 地址段，不是CIDR时返回null
+   */
+  static parseCidr(cidr) {
+    const [address, prefix] = cidr.split('/');
+    const bytes = this.parse(address);
+    if (!bytes) return null;
+    const maxPrefix = bytes.length * 8;
+    const prefixLength = prefix === undefined ? maxPrefix : Number(prefix);
+    if (!Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > maxPrefix) return null;
+    return { bytes, prefixLength };
+  }
+
+  /**
+   * 检查IP地址是否属于CIDR地址段
+   * @param {Uint8Array} bytes - IP地址
+   * @param {object} range - parseCidr返回的地址段
+   * @returns {boolean} 是否属于该地址段
+   */
+  static inCidr(bytes, range) {
+    if (bytes.length !== range.bytes.length) return false;
+    let bits = range.prefixLength;
+    for (let i = 0; bits > 0; i++, bits -= 8) {
+      const mask = bits >= 8 ? 0xff : (0xff << (8 - bits)) & 0xff;
+      if ((bytes[i] & mask) !== (range.bytes[i] & mask)) return false;
+    }
+    return true;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,40 @@
+import { IPUtils } from './ip.js';
+
+/**
+ * 模式匹配工具类
+ * 负责主机名通配符匹配和IP地址CIDR匹配
+ */
+export class PatternMatcher {
+  /**
+   * 将通配符模式转换为正则表达式
+   * 支持 * 匹配任意字符、? 匹配单个字符，不区分大小写
+   * @param {string} pattern - 通配符模式，例如 "*.example.com"
+   * @returns {RegExp} 正则表达式
+   */
+  static globToRegExp(pattern) {
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * 检查主机名是否匹配任一模式
+   * 模式为CIDR（例如 "10.0.0.0/8"）时按IP地址段匹配，否则按通配符匹配主机名
+   * @param {string} hostname - 主机名（IPv6地址可带方括号）
+   * @param {string[]} patterns - 模式列表
+   * @returns {boolean} 是否匹配
+   */
+  static matchHost(hostname, patterns) {
+    const host = hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+    const address = IPUtils.parse(host);
+    return patterns.some((pattern) => {
+      const range = pattern.includes('/') ? IPUtils.parseCidr(pattern) : null;
+      if (range) {
+        return address !== null && IPUtils.inCidr(address, range);
+      }
+      return this.globToRegExp(pattern.replace(/^\[(.*)\]$/, '$1')).test(host);
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,46 @@
+/**
+ * 代理URL构造器
+ * 负责将目标URL转换为经过代理的 /<token>/<scheme>/<host>/... 形式
+ */
+export class ProxiedUrl {
+  // 可以转换为代理形式的协议
+  static SCHEMES = ['http', 'https', 'ws', 'wss'];
+
+  /**
+   * 构造函数
+   * @param {string} origin - 代理自身的源，例如 "https://proxy.example.workers.dev"
+   * @param {string} prefix - 目标协议之前的路由前缀，例如 "/<token>" 或 "/<token>/via/socks5"
+   */
+  constructor(origin, prefix) {
+    this.origin = origin;
+    this.prefix = prefix;
+  }
+
+  /**
+   * 将目标URL转换为代理URL
+   * @param {string|URL} target - 目标URL
+   * @returns {string|null} 代理URL，协议不支持时返回null
+   */
+  toProxied(target) {
+    const url = target instanceof URL ? target : new URL(target);
+    const scheme = url.protocol.slice(0, -1).toLowerCase();
+    if (!ProxiedUrl.SCHEMES.includes(scheme)) return null;
+    return `${this.origin}${this.prefix}/${scheme}/${url.host}${url.pathname}${url.search}${url.hash}`;
+  }
+
+  /**
+   * 相对于基准URL解析并转换URL，无法转换或已经是代理URL时原样返回
+   * @param {string} value - 原始URL，可以是相对URL
+   * @param {string|URL} base - 基准URL（当前目标URL）
+   * @returns {string} 转换后的URL
+   */
+  rewrite(value, base) {
+    try {
+      const url = new URL(value, base);
+      if (url.origin === this.origin) return value;
+      return this.toProxied(url) ?? value;
+    } catch (e) {
+      return value;
+    }
+  }
+}
\ No newline at end of file